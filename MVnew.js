@@ -511,17 +511,19 @@ function rotate(angle, axis) {
   var omc = 1.0 - c;
   var s = Math.sin(radians(angle));
 
+  // rows of the rotation matrix (counterclockwise about `axis`, matching
+  // rotateX/Y/Z)
   var result = mat4(
     x * x * omc + c,
-    x * y * omc + z * s,
-    x * z * omc - y * s,
-    0.0,
     x * y * omc - z * s,
-    y * y * omc + c,
-    y * z * omc + x * s,
-    0.0,
     x * z * omc + y * s,
+    0.0,
+    x * y * omc + z * s,
+    y * y * omc + c,
     y * z * omc - x * s,
+    0.0,
+    x * z * omc - y * s,
+    y * z * omc + x * s,
     z * z * omc + c,
     0.0,
     0.0,
@@ -728,6 +730,48 @@ function perspective(fovy, aspect, near, far) {
   return result;
 }
 
+//----------------------------------------------------------------------------
+//
+//  WebGPU clip-space projections
+//
+//  perspective()/ortho() follow OpenGL and map depth to [-1, 1]; WebGPU
+//  clips depth to [0, 1]. The *ZO ("zero to one") builders below target
+//  [0, 1] directly:
+//    perspectiveZO        near -> 0, far -> 1 (depthCompare "less")
+//    perspectiveReverseZ  near -> 1, far -> 0 (depthCompare "greater");
+//                         with a float depth buffer this spreads precision
+//                         far more evenly over the depth range
+//  Passing far = Infinity to either gives the infinite-far-plane limit;
+//  perspectiveInfiniteZO/perspectiveInfiniteReverseZ spell that out.
+//  The typed mat4f versions follow in the Float32Array section.
+//
+
+function perspectiveZO(fovy, aspect, near, far) {
+  return fromFloat32(
+    mat4fPerspectiveZO(new Float32Array(16), fovy, aspect, near, far)
+  );
+}
+
+function perspectiveReverseZ(fovy, aspect, near, far) {
+  return fromFloat32(
+    mat4fPerspectiveReverseZ(new Float32Array(16), fovy, aspect, near, far)
+  );
+}
+
+function perspectiveInfiniteZO(fovy, aspect, near) {
+  return perspectiveZO(fovy, aspect, near, Infinity);
+}
+
+function perspectiveInfiniteReverseZ(fovy, aspect, near) {
+  return perspectiveReverseZ(fovy, aspect, near, Infinity);
+}
+
+function orthoZO(left, right, bottom, top, near, far) {
+  return fromFloat32(
+    mat4fOrthoZO(new Float32Array(16), left, right, bottom, top, near, far)
+  );
+}
+
 //----------------------------------------------------------------------------
 //
 //  Matrix Functions
@@ -1209,3 +1253,818 @@ function normalMatrix(m, flag) {
 
   return b;
 }
+
+//----------------------------------------------------------------------------
+//
+//  Quaternions
+//
+//  A quat is a 4-element Array [x, y, z, w] tagged with type "quat" (vector
+//  part first, like gl-matrix and glTF). Rotation quaternions are unit
+//  length; angles are in degrees, like rotateX/Y/Z(). Composition
+//  follows matrix order: quatToMat4(quatMult(a, b)) equals
+//  mult(quatToMat4(a), quatToMat4(b)), i.e. b is applied first.
+//
+
+function quat(x, y, z, w) {
+  var out = [0.0, 0.0, 0.0, 1.0];
+  out.type = "quat";
+  if (arguments.length == 4) {
+    out[0] = x;
+    out[1] = y;
+    out[2] = z;
+    out[3] = w;
+  } else if (arguments.length == 1) {
+    // copy of any 4-element quat-like array
+    for (var i = 0; i < 4; i++) out[i] = x[i];
+  } else if (arguments.length != 0) {
+    throw "quat: expected 0, 1 or 4 arguments";
+  }
+  return out;
+}
+
+// rotation by `angle` degrees about `axis` (vec3, need not be unit length)
+function quatFromAxisAngle(angle, axis) {
+  var len = Math.hypot(axis[0], axis[1], axis[2]);
+  if (len == 0) throw "quatFromAxisAngle: zero-length axis";
+  var h = radians(angle) / 2;
+  var s = Math.sin(h) / len;
+  return quat(axis[0] * s, axis[1] * s, axis[2] * s, Math.cos(h));
+}
+
+// Rotation from Euler angles in degrees. `order` names the product left to
+// right: "XYZ" (the default) is the same rotation as
+// mult(rotateX(x), mult(rotateY(y), rotateZ(z))), so z is applied first.
+// Any permutation of X, Y and Z is accepted.
+function quatFromEuler(x, y, z, order) {
+  order = order || "XYZ";
+  if (!/^(XYZ|XZY|YXZ|YZX|ZXY|ZYX)$/.test(order)) {
+    throw "quatFromEuler: order must be a permutation of XYZ, got " + order;
+  }
+  var angles = { X: x, Y: y, Z: z };
+  var axes = { X: [1, 0, 0], Y: [0, 1, 0], Z: [0, 0, 1] };
+  var q = quat();
+  for (var i = 0; i < 3; i++) {
+    var c = order[i];
+    q = quatMult(q, quatFromAxisAngle(angles[c], axes[c]));
+  }
+  return q;
+}
+
+// Rotation part of a mat3/mat4, which must be a pure rotation or a rotation
+// times a uniform (positive) scale.
+function quatFromMat4(m) {
+  if (m.type != "mat3" && m.type != "mat4") {
+    throw "quatFromMat4: input not a mat3 or mat4";
+  }
+  var m00 = m[0][0],
+    m01 = m[0][1],
+    m02 = m[0][2];
+  var m10 = m[1][0],
+    m11 = m[1][1],
+    m12 = m[1][2];
+  var m20 = m[2][0],
+    m21 = m[2][1],
+    m22 = m[2][2];
+  // divide out the uniform scale, the cube root of the 3x3 determinant
+  // (left as is when degenerate; the result is normalized anyway)
+  var det = det3(m);
+  var k = det > 0 ? 1 / Math.cbrt(det) : 1;
+  m00 *= k;
+  m01 *= k;
+  m02 *= k;
+  m10 *= k;
+  m11 *= k;
+  m12 *= k;
+  m20 *= k;
+  m21 *= k;
+  m22 *= k;
+  var trace = m00 + m11 + m22;
+  var q;
+  // pick the largest of w, x, y, z to divide by (Shepperd's method)
+  if (trace > 0) {
+    var s = 0.5 / Math.sqrt(trace + 1.0);
+    q = quat((m21 - m12) * s, (m02 - m20) * s, (m10 - m01) * s, 0.25 / s);
+  } else if (m00 > m11 && m00 > m22) {
+    var s = 2.0 * Math.sqrt(1.0 + m00 - m11 - m22);
+    q = quat(0.25 * s, (m01 + m10) / s, (m02 + m20) / s, (m21 - m12) / s);
+  } else if (m11 > m22) {
+    var s = 2.0 * Math.sqrt(1.0 + m11 - m00 - m22);
+    q = quat((m01 + m10) / s, 0.25 * s, (m12 + m21) / s, (m02 - m20) / s);
+  } else {
+    var s = 2.0 * Math.sqrt(1.0 + m22 - m00 - m11);
+    q = quat((m02 + m20) / s, (m12 + m21) / s, 0.25 * s, (m10 - m01) / s);
+  }
+  return quatNormalize(q);
+}
+
+// Hamilton product a * b: rotate by b, then by a
+function quatMult(a, b) {
+  return quat(
+    a[3] * b[0] + a[0] * b[3] + a[1] * b[2] - a[2] * b[1],
+    a[3] * b[1] - a[0] * b[2] + a[1] * b[3] + a[2] * b[0],
+    a[3] * b[2] + a[0] * b[1] - a[1] * b[0] + a[2] * b[3],
+    a[3] * b[3] - a[0] * b[0] - a[1] * b[1] - a[2] * b[2]
+  );
+}
+
+function quatNormalize(q) {
+  var len = Math.hypot(q[0], q[1], q[2], q[3]);
+  if (len == 0) throw "quatNormalize: zero-length quaternion";
+  return quat(q[0] / len, q[1] / len, q[2] / len, q[3] / len);
+}
+
+// inverse rotation (for unit quaternions)
+function quatConjugate(q) {
+  return quat(-q[0], -q[1], -q[2], q[3]);
+}
+
+function quatDot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+}
+
+// Normalized linear interpolation: cheap and torque-minimal, but not
+// constant speed. Takes the shorter arc.
+function quatNlerp(a, b, t) {
+  var sign = quatDot(a, b) < 0 ? -1 : 1;
+  return quatNormalize(
+    quat(
+      a[0] + (sign * b[0] - a[0]) * t,
+      a[1] + (sign * b[1] - a[1]) * t,
+      a[2] + (sign * b[2] - a[2]) * t,
+      a[3] + (sign * b[3] - a[3]) * t
+    )
+  );
+}
+
+// Spherical linear interpolation: constant angular speed along the shorter
+// arc. Falls back to nlerp when a and b are nearly identical.
+function quatSlerp(a, b, t) {
+  var cosTheta = quatDot(a, b);
+  var sign = 1;
+  if (cosTheta < 0) {
+    cosTheta = -cosTheta;
+    sign = -1;
+  }
+  if (cosTheta > 0.9995) return quatNlerp(a, b, t);
+  var theta = Math.acos(cosTheta);
+  var sinTheta = Math.sin(theta);
+  var wa = Math.sin((1 - t) * theta) / sinTheta;
+  var wb = (sign * Math.sin(t * theta)) / sinTheta;
+  return quat(
+    wa * a[0] + wb * b[0],
+    wa * a[1] + wb * b[1],
+    wa * a[2] + wb * b[2],
+    wa * a[3] + wb * b[3]
+  );
+}
+
+// rotate a vec3 by a unit quaternion
+function quatRotate(q, v) {
+  var m = quatToMat4(q);
+  return vec3(
+    m[0][0] * v[0] + m[0][1] * v[1] + m[0][2] * v[2],
+    m[1][0] * v[0] + m[1][1] * v[1] + m[1][2] * v[2],
+    m[2][0] * v[0] + m[2][1] * v[1] + m[2][2] * v[2]
+  );
+}
+
+// rotation matrix of a unit quaternion, as a legacy mat4
+function quatToMat4(q) {
+  return fromFloat32(mat4fFromQuat(new Float32Array(16), q));
+}
+
+//----------------------------------------------------------------------------
+//
+//  TRS composition / decomposition
+//
+//  An affine mat4 is split as T * R * S (scale first, then rotation, then
+//  translation), the same order as mult(translate(t), mult(R, scale(s)))
+//  and as glTF node transforms. Shear cannot be represented and is lost.
+//
+
+// translate(t) * quatToMat4(rotation) * scale(s), built directly
+function mat4Compose(translation, rotation, scale) {
+  return fromFloat32(
+    mat4fCompose(new Float32Array(16), translation, rotation, scale)
+  );
+}
+
+// Split an affine mat4 into { translation: vec3, rotation: quat,
+// scale: vec3 } such that mat4Compose() rebuilds it. A mirroring matrix
+// (negative determinant) gets a negative x scale.
+function mat4Decompose(m) {
+  if (m.type != "mat4") throw "mat4Decompose: input not a mat4";
+  var sx = Math.hypot(m[0][0], m[1][0], m[2][0]);
+  var sy = Math.hypot(m[0][1], m[1][1], m[2][1]);
+  var sz = Math.hypot(m[0][2], m[1][2], m[2][2]);
+  if (det3(m) < 0) sx = -sx;
+
+  var r = mat3();
+  var s = [sx, sy, sz];
+  for (var i = 0; i < 3; i++) {
+    for (var j = 0; j < 3; j++) r[i][j] = s[j] ? m[i][j] / s[j] : i == j;
+  }
+  return {
+    translation: vec3(m[0][3], m[1][3], m[2][3]),
+    rotation: quatFromMat4(r),
+    scale: vec3(sx, sy, sz),
+  };
+}
+
+// Euler angles in degrees, as vec3(x, y, z), of the rotation part of a
+// mat4 (scale is divided out first). `order` is as for quatFromEuler(), so
+// quatFromEuler(e[0], e[1], e[2], order) reproduces the rotation. At gimbal
+// lock (middle angle +-90) the last angle is set to 0.
+function mat4ToEuler(m, order) {
+  return quatToEuler(mat4Decompose(m).rotation, order);
+}
+
+function quatToEuler(q, order) {
+  order = order || "XYZ";
+  var r = quatToMat4(q);
+  // 1-based names for readability: mRC is row R, column C
+  var m11 = r[0][0],
+    m12 = r[0][1],
+    m13 = r[0][2];
+  var m21 = r[1][0],
+    m22 = r[1][1],
+    m23 = r[1][2];
+  var m31 = r[2][0],
+    m32 = r[2][1],
+    m33 = r[2][2];
+  var clamp = function (v) {
+    return Math.min(1, Math.max(-1, v));
+  };
+  var locked = function (v) {
+    return Math.abs(v) >= 0.9999999;
+  };
+  var x = 0,
+    y = 0,
+    z = 0;
+  switch (order) {
+    case "XYZ":
+      y = Math.asin(clamp(m13));
+      if (!locked(m13)) {
+        x = Math.atan2(-m23, m33);
+        z = Math.atan2(-m12, m11);
+      } else {
+        x = Math.atan2(m32, m22);
+      }
+      break;
+    case "YXZ":
+      x = Math.asin(-clamp(m23));
+      if (!locked(m23)) {
+        y = Math.atan2(m13, m33);
+        z = Math.atan2(m21, m22);
+      } else {
+        y = Math.atan2(-m31, m11);
+      }
+      break;
+    case "ZXY":
+      x = Math.asin(clamp(m32));
+      if (!locked(m32)) {
+        y = Math.atan2(-m31, m33);
+        z = Math.atan2(-m12, m22);
+      } else {
+        z = Math.atan2(m21, m11);
+      }
+      break;
+    case "ZYX":
+      y = Math.asin(-clamp(m31));
+      if (!locked(m31)) {
+        x = Math.atan2(m32, m33);
+        z = Math.atan2(m21, m11);
+      } else {
+        z = Math.atan2(-m12, m22);
+      }
+      break;
+    case "YZX":
+      z = Math.asin(clamp(m21));
+      if (!locked(m21)) {
+        x = Math.atan2(-m23, m22);
+        y = Math.atan2(-m31, m11);
+      } else {
+        y = Math.atan2(m13, m33);
+      }
+      break;
+    case "XZY":
+      z = Math.asin(-clamp(m12));
+      if (!locked(m12)) {
+        x = Math.atan2(m32, m22);
+        y = Math.atan2(m13, m11);
+      } else {
+        x = Math.atan2(-m23, m33);
+      }
+      break;
+    default:
+      throw "quatToEuler: order must be a permutation of XYZ, got " + order;
+  }
+  var toDegrees = 180.0 / Math.PI;
+  return vec3(x * toDegrees, y * toDegrees, z * toDegrees);
+}
+
+//----------------------------------------------------------------------------
+//
+//  Typed-array (Float32Array) math
+//
+//  A parallel, allocation-free API for code that runs every frame. Values
+//  are plain Float32Arrays: vec3f/vec4f hold 3/4 floats, mat3f/mat4f hold
+//  9/16 floats in column-major order (element [row][col] of the legacy
+//  types lives at index col * n + row), i.e. exactly what flatten()
+//  produces and what WGSL's mat4x4<f32> expects, so a mat4f can be copied
+//  straight into a uniform buffer.
+//
+//  Every operation writes into an `out` argument and returns it; `out` may
+//  be one of the inputs. Vector inputs may also be legacy vec3/vec4 arrays
+//  (anything indexable). Use toFloat32()/fromFloat32() to convert between
+//  the two representations.
+//
+
+function vec3f(x, y, z) {
+  var out = new Float32Array(3);
+  if (arguments.length) vec3fSet(out, x, y, z);
+  return out;
+}
+
+function vec4f(x, y, z, w) {
+  var out = new Float32Array(4);
+  if (arguments.length) vec4fSet(out, x, y, z, w);
+  return out;
+}
+
+function mat3f() {
+  return mat3fIdentity(new Float32Array(9));
+}
+
+function mat4f() {
+  return mat4fIdentity(new Float32Array(16));
+}
+
+function vec3fSet(out, x, y, z) {
+  out[0] = x;
+  out[1] = y;
+  out[2] = z;
+  return out;
+}
+
+function vec4fSet(out, x, y, z, w) {
+  out[0] = x;
+  out[1] = y;
+  out[2] = z;
+  out[3] = w;
+  return out;
+}
+
+// component-wise product, like mult() on two legacy vectors
+function vec4fMult(out, a, b) {
+  out[0] = a[0] * b[0];
+  out[1] = a[1] * b[1];
+  out[2] = a[2] * b[2];
+  out[3] = a[3] * b[3];
+  return out;
+}
+
+function mat3fIdentity(out) {
+  out.fill(0);
+  out[0] = out[4] = out[8] = 1.0;
+  return out;
+}
+
+function mat4fIdentity(out) {
+  out.fill(0);
+  out[0] = out[5] = out[10] = out[15] = 1.0;
+  return out;
+}
+
+function mat4fCopy(out, a) {
+  out.set(a);
+  return out;
+}
+
+// out = a * b
+function mat4fMult(out, a, b) {
+  var a00 = a[0],
+    a10 = a[1],
+    a20 = a[2],
+    a30 = a[3];
+  var a01 = a[4],
+    a11 = a[5],
+    a21 = a[6],
+    a31 = a[7];
+  var a02 = a[8],
+    a12 = a[9],
+    a22 = a[10],
+    a32 = a[11];
+  var a03 = a[12],
+    a13 = a[13],
+    a23 = a[14],
+    a33 = a[15];
+
+  for (var c = 0; c < 4; c++) {
+    var b0 = b[c * 4],
+      b1 = b[c * 4 + 1],
+      b2 = b[c * 4 + 2],
+      b3 = b[c * 4 + 3];
+    out[c * 4] = a00 * b0 + a01 * b1 + a02 * b2 + a03 * b3;
+    out[c * 4 + 1] = a10 * b0 + a11 * b1 + a12 * b2 + a13 * b3;
+    out[c * 4 + 2] = a20 * b0 + a21 * b1 + a22 * b2 + a23 * b3;
+    out[c * 4 + 3] = a30 * b0 + a31 * b1 + a32 * b2 + a33 * b3;
+  }
+  return out;
+}
+
+// out = m * v for a vec4 v
+function mat4fMultVec4(out, m, v) {
+  var x = v[0],
+    y = v[1],
+    z = v[2],
+    w = v[3];
+  out[0] = m[0] * x + m[4] * y + m[8] * z + m[12] * w;
+  out[1] = m[1] * x + m[5] * y + m[9] * z + m[13] * w;
+  out[2] = m[2] * x + m[6] * y + m[10] * z + m[14] * w;
+  out[3] = m[3] * x + m[7] * y + m[11] * z + m[15] * w;
+  return out;
+}
+
+function mat4fTranspose(out, a) {
+  var t;
+  if (out === a) {
+    t = a[1];
+    out[1] = a[4];
+    out[4] = t;
+    t = a[2];
+    out[2] = a[8];
+    out[8] = t;
+    t = a[3];
+    out[3] = a[12];
+    out[12] = t;
+    t = a[6];
+    out[6] = a[9];
+    out[9] = t;
+    t = a[7];
+    out[7] = a[13];
+    out[13] = t;
+    t = a[11];
+    out[11] = a[14];
+    out[14] = t;
+    return out;
+  }
+  for (var c = 0; c < 4; c++)
+    for (var r = 0; r < 4; r++) out[c * 4 + r] = a[r * 4 + c];
+  return out;
+}
+
+// General 4x4 inverse (cofactor expansion). Returns null and leaves `out`
+// untouched if `a` is singular.
+function mat4fInverse(out, a) {
+  var a00 = a[0],
+    a01 = a[1],
+    a02 = a[2],
+    a03 = a[3];
+  var a10 = a[4],
+    a11 = a[5],
+    a12 = a[6],
+    a13 = a[7];
+  var a20 = a[8],
+    a21 = a[9],
+    a22 = a[10],
+    a23 = a[11];
+  var a30 = a[12],
+    a31 = a[13],
+    a32 = a[14],
+    a33 = a[15];
+
+  var b00 = a00 * a11 - a01 * a10;
+  var b01 = a00 * a12 - a02 * a10;
+  var b02 = a00 * a13 - a03 * a10;
+  var b03 = a01 * a12 - a02 * a11;
+  var b04 = a01 * a13 - a03 * a11;
+  var b05 = a02 * a13 - a03 * a12;
+  var b06 = a20 * a31 - a21 * a30;
+  var b07 = a20 * a32 - a22 * a30;
+  var b08 = a20 * a33 - a23 * a30;
+  var b09 = a21 * a32 - a22 * a31;
+  var b10 = a21 * a33 - a23 * a31;
+  var b11 = a22 * a33 - a23 * a32;
+
+  var d = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+  if (d === 0) return null;
+  d = 1.0 / d;
+
+  out[0] = (a11 * b11 - a12 * b10 + a13 * b09) * d;
+  out[1] = (a02 * b10 - a01 * b11 - a03 * b09) * d;
+  out[2] = (a31 * b05 - a32 * b04 + a33 * b03) * d;
+  out[3] = (a22 * b04 - a21 * b05 - a23 * b03) * d;
+  out[4] = (a12 * b08 - a10 * b11 - a13 * b07) * d;
+  out[5] = (a00 * b11 - a02 * b08 + a03 * b07) * d;
+  out[6] = (a32 * b02 - a30 * b05 - a33 * b01) * d;
+  out[7] = (a20 * b05 - a22 * b02 + a23 * b01) * d;
+  out[8] = (a10 * b10 - a11 * b08 + a13 * b06) * d;
+  out[9] = (a01 * b08 - a00 * b10 - a03 * b06) * d;
+  out[10] = (a30 * b04 - a31 * b02 + a33 * b00) * d;
+  out[11] = (a21 * b02 - a20 * b04 - a23 * b00) * d;
+  out[12] = (a11 * b07 - a10 * b09 - a12 * b06) * d;
+  out[13] = (a00 * b09 - a01 * b07 + a02 * b06) * d;
+  out[14] = (a31 * b01 - a30 * b03 - a32 * b00) * d;
+  out[15] = (a20 * b03 - a21 * b01 + a22 * b00) * d;
+  return out;
+}
+
+// Same matrix as the legacy lookAt(): camera at `eye` looking at `at`.
+// When `up` is parallel to the view direction, where lookAt() gives NaNs,
+// it picks another up instead.
+function mat4fLookAt(out, eye, at, up) {
+  var vx = at[0] - eye[0];
+  var vy = at[1] - eye[1];
+  var vz = at[2] - eye[2];
+  var len = Math.hypot(vx, vy, vz);
+  if (len === 0) return mat4fIdentity(out);
+  vx /= len;
+  vy /= len;
+  vz /= len;
+
+  // n = normalize(v x up)
+  var nx = vy * up[2] - vz * up[1];
+  var ny = vz * up[0] - vx * up[2];
+  var nz = vx * up[1] - vy * up[0];
+  len = Math.hypot(nx, ny, nz);
+  if (len < 1e-6) {
+    // looking along `up`: any up will do, so use the world axis least
+    // aligned with the view direction (this runs every frame, so no throw)
+    var ax = Math.abs(vx);
+    var ay = Math.abs(vy);
+    var az = Math.abs(vz);
+    if (ax <= ay && ax <= az) {
+      nx = 0;
+      ny = vz;
+      nz = -vy;
+    } else if (ay <= az) {
+      nx = -vz;
+      ny = 0;
+      nz = vx;
+    } else {
+      nx = vy;
+      ny = -vx;
+      nz = 0;
+    }
+    len = Math.hypot(nx, ny, nz);
+  }
+  nx /= len;
+  ny /= len;
+  nz /= len;
+
+  // u = n x v (already unit length)
+  var ux = ny * vz - nz * vy;
+  var uy = nz * vx - nx * vz;
+  var uz = nx * vy - ny * vx;
+
+  // rows n, u, -v; stored column-major
+  out[0] = nx;
+  out[1] = ux;
+  out[2] = -vx;
+  out[3] = 0.0;
+  out[4] = ny;
+  out[5] = uy;
+  out[6] = -vy;
+  out[7] = 0.0;
+  out[8] = nz;
+  out[9] = uz;
+  out[10] = -vz;
+  out[11] = 0.0;
+  out[12] = -(nx * eye[0] + ny * eye[1] + nz * eye[2]);
+  out[13] = -(ux * eye[0] + uy * eye[1] + uz * eye[2]);
+  out[14] = vx * eye[0] + vy * eye[1] + vz * eye[2];
+  out[15] = 1.0;
+  return out;
+}
+
+// Same matrix as the legacy perspective(): clip-space z in [-1, 1].
+function mat4fPerspective(out, fovy, aspect, near, far) {
+  var f = 1.0 / Math.tan(radians(fovy) / 2);
+  var d = far - near;
+  out.fill(0);
+  out[0] = f / aspect;
+  out[5] = f;
+  out[10] = -(near + far) / d;
+  out[11] = -1;
+  out[14] = (-2 * near * far) / d;
+  return out;
+}
+
+// perspectiveZO(): depth near -> 0, far -> 1; far may be Infinity.
+function mat4fPerspectiveZO(out, fovy, aspect, near, far) {
+  if (near <= 0 || far <= near) {
+    throw "mat4fPerspectiveZO(): need 0 < near < far";
+  }
+  var f = 1.0 / Math.tan(radians(fovy) / 2);
+  out.fill(0);
+  out[0] = f / aspect;
+  out[5] = f;
+  out[11] = -1;
+  if (far === Infinity) {
+    out[10] = -1;
+    out[14] = -near;
+  } else {
+    out[10] = far / (near - far);
+    out[14] = (near * far) / (near - far);
+  }
+  return out;
+}
+
+// perspectiveReverseZ(): depth near -> 1, far -> 0; far may be Infinity.
+function mat4fPerspectiveReverseZ(out, fovy, aspect, near, far) {
+  if (near <= 0 || far <= near) {
+    throw "mat4fPerspectiveReverseZ(): need 0 < near < far";
+  }
+  var f = 1.0 / Math.tan(radians(fovy) / 2);
+  out.fill(0);
+  out[0] = f / aspect;
+  out[5] = f;
+  out[11] = -1;
+  if (far === Infinity) {
+    out[10] = 0;
+    out[14] = near;
+  } else {
+    out[10] = near / (far - near);
+    out[14] = (near * far) / (far - near);
+  }
+  return out;
+}
+
+// orthoZO(): like ortho() but depth near -> 0, far -> 1.
+function mat4fOrthoZO(out, left, right, bottom, top, near, far) {
+  if (left == right) throw "mat4fOrthoZO(): left and right are equal";
+  if (bottom == top) throw "mat4fOrthoZO(): bottom and top are equal";
+  if (near == far) throw "mat4fOrthoZO(): near and far are equal";
+  var w = right - left;
+  var h = top - bottom;
+  var d = far - near;
+  out.fill(0);
+  out[0] = 2.0 / w;
+  out[5] = 2.0 / h;
+  out[10] = -1.0 / d;
+  out[12] = -(left + right) / w;
+  out[13] = -(top + bottom) / h;
+  out[14] = -near / d;
+  out[15] = 1.0;
+  return out;
+}
+
+// Inverse-transpose of the upper-left 3x3 of a mat4f, as a mat3f.
+function mat3fNormalMatrix(out, m) {
+  return normalMatrixInto(out, 3, m);
+}
+
+// Same as mat3fNormalMatrix() but padded into a mat4f (last row/column of
+// the identity), which is how the uniform buffer stores it.
+function mat4fNormalMatrix(out, m) {
+  normalMatrixInto(out, 4, m);
+  out[3] = out[7] = out[11] = out[12] = out[13] = out[14] = 0.0;
+  out[15] = 1.0;
+  return out;
+}
+
+// inverse-transpose of the upper-left 3x3 of `m`, written into the
+// upper-left of `out` whose columns are `n` floats apart. Falls back to the
+// plain 3x3 if it is singular.
+function normalMatrixInto(out, n, m) {
+  var a00 = m[0],
+    a10 = m[1],
+    a20 = m[2];
+  var a01 = m[4],
+    a11 = m[5],
+    a21 = m[6];
+  var a02 = m[8],
+    a12 = m[9],
+    a22 = m[10];
+
+  // cofactors; the inverse-transpose is cofactor / det
+  var c00 = a11 * a22 - a12 * a21;
+  var c01 = a12 * a20 - a10 * a22;
+  var c02 = a10 * a21 - a11 * a20;
+  var d = a00 * c00 + a01 * c01 + a02 * c02;
+  if (d === 0) {
+    out[0] = a00;
+    out[1] = a10;
+    out[2] = a20;
+    out[n] = a01;
+    out[n + 1] = a11;
+    out[n + 2] = a21;
+    out[2 * n] = a02;
+    out[2 * n + 1] = a12;
+    out[2 * n + 2] = a22;
+    return out;
+  }
+  d = 1.0 / d;
+  out[0] = c00 * d;
+  out[1] = (a02 * a21 - a01 * a22) * d;
+  out[2] = (a01 * a12 - a02 * a11) * d;
+  out[n] = c01 * d;
+  out[n + 1] = (a00 * a22 - a02 * a20) * d;
+  out[n + 2] = (a02 * a10 - a00 * a12) * d;
+  out[2 * n] = c02 * d;
+  out[2 * n + 1] = (a01 * a20 - a00 * a21) * d;
+  out[2 * n + 2] = (a00 * a11 - a01 * a10) * d;
+  return out;
+}
+
+// Rotation matrix of a unit quaternion (a quat or any [x, y, z, w]).
+function mat4fFromQuat(out, q) {
+  var x = q[0],
+    y = q[1],
+    z = q[2],
+    w = q[3];
+  var xx = x * x,
+    yy = y * y,
+    zz = z * z;
+  var xy = x * y,
+    xz = x * z,
+    yz = y * z;
+  var wx = w * x,
+    wy = w * y,
+    wz = w * z;
+  out[0] = 1 - 2 * (yy + zz);
+  out[1] = 2 * (xy + wz);
+  out[2] = 2 * (xz - wy);
+  out[3] = 0.0;
+  out[4] = 2 * (xy - wz);
+  out[5] = 1 - 2 * (xx + zz);
+  out[6] = 2 * (yz + wx);
+  out[7] = 0.0;
+  out[8] = 2 * (xz + wy);
+  out[9] = 2 * (yz - wx);
+  out[10] = 1 - 2 * (xx + yy);
+  out[11] = 0.0;
+  out[12] = 0.0;
+  out[13] = 0.0;
+  out[14] = 0.0;
+  out[15] = 1.0;
+  return out;
+}
+
+// T * R * S from a translation vec3, rotation quat and scale vec3 (any
+// indexable values); see mat4Compose().
+function mat4fCompose(out, translation, rotation, scale) {
+  mat4fFromQuat(out, rotation);
+  for (var i = 0; i < 3; i++) {
+    out[i] *= scale[0];
+    out[4 + i] *= scale[1];
+    out[8 + i] *= scale[2];
+    out[12 + i] = translation[i];
+  }
+  return out;
+}
+
+//----------------------------------------------------------------------------
+//
+//  Adapters between the legacy and typed representations
+//
+
+// Legacy vec2/3/4 or mat2/3/4 -> Float32Array (column-major for matrices),
+// written into `out` when given. Float32Arrays are copied as they are.
+function toFloat32(v, out) {
+  if (v instanceof Float32Array) {
+    out = out || new Float32Array(v.length);
+    out.set(v);
+    return out;
+  }
+  if (isVector(v)) {
+    out = out || new Float32Array(v.length);
+    for (var i = 0; i < v.length; i++) out[i] = v[i];
+    return out;
+  }
+  if (isMatrix(v)) {
+    var n = v.length;
+    out = out || new Float32Array(n * n);
+    for (var c = 0; c < n; c++)
+      for (var r = 0; r < n; r++) out[c * n + r] = v[r][c];
+    return out;
+  }
+  throw "toFloat32: not a vector or matrix";
+}
+
+// Float32Array -> legacy type. `type` defaults from the length (16: mat4,
+// 9: mat3, 4/3/2: vec4/vec3/vec2); pass "mat2" for a 4-float mat2.
+function fromFloat32(a, type) {
+  type =
+    type ||
+    { 16: "mat4", 9: "mat3", 4: "vec4", 3: "vec3", 2: "vec2" }[a.length];
+  switch (type) {
+    case "vec2":
+      return vec2(a[0], a[1]);
+    case "vec3":
+      return vec3(a[0], a[1], a[2]);
+    case "vec4":
+      return vec4(a[0], a[1], a[2], a[3]);
+    case "mat2":
+    case "mat3":
+    case "mat4":
+      var n = Number(type[3]);
+      var m = type == "mat2" ? mat2() : type == "mat3" ? mat3() : mat4();
+      for (var c = 0; c < n; c++)
+        for (var r = 0; r < n; r++) m[r][c] = a[c * n + r];
+      return m;
+    default:
+      throw "fromFloat32: cannot convert " + a.length + " floats to " + type;
+  }
+}
@@ -0,0 +1,177 @@
+// Bounding volumes
+// Axis-aligned boxes and bounding spheres for meshes, and the camera
+// placement that fits them in view.
+//
+// Bounds are { box: { min: [x,y,z], max: [x,y,z] }, sphere: { center:
+// [x,y,z], radius } }. Meshes are measured once, in their own (model)
+// space, with computeBounds(); transformBounds() moves them to world space
+// whenever the model matrix is known, so moving an object never requires
+// walking its vertices again.
+
+function emptyBounds() {
+  return {
+    box: {
+      min: [Infinity, Infinity, Infinity],
+      max: [-Infinity, -Infinity, -Infinity],
+    },
+    sphere: { center: [0, 0, 0], radius: 0 },
+  };
+}
+
+function boundsIsEmpty(bounds) {
+  return !(bounds.box.min[0] <= bounds.box.max[0]);
+}
+
+// Call fn(x, y, z) for every point of `points`: either an array of
+// vec3/vec4 or an interleaved Float32Array whose points start every
+// `stride` floats (6 for the [x,y,z, nx,ny,nz] vertex layout).
+function forEachBoundsPoint(points, stride, fn) {
+  if (Array.isArray(points)) {
+    for (let i = 0; i < points.length; ++i) {
+      fn(points[i][0], points[i][1], points[i][2]);
+    }
+  } else {
+    for (let i = 0; i + 2 < points.length; i += stride) {
+      fn(points[i], points[i + 1], points[i + 2]);
+    }
+  }
+}
+
+// AABB plus a sphere centered on the box (tighter than the box's
+// circumsphere: the radius is the farthest actual point).
+function computeBounds(points, stride = 6) {
+  const bounds = emptyBounds();
+  const { min, max } = bounds.box;
+  forEachBoundsPoint(points, stride, (x, y, z) => {
+    if (x < min[0]) min[0] = x;
+    if (y < min[1]) min[1] = y;
+    if (z < min[2]) min[2] = z;
+    if (x > max[0]) max[0] = x;
+    if (y > max[1]) max[1] = y;
+    if (z > max[2]) max[2] = z;
+  });
+  if (boundsIsEmpty(bounds)) return bounds;
+  const c = [0, 1, 2].map((k) => (min[k] + max[k]) / 2);
+  let r2 = 0;
+  forEachBoundsPoint(points, stride, (x, y, z) => {
+    const d2 = (x - c[0]) ** 2 + (y - c[1]) ** 2 + (z - c[2]) ** 2;
+    if (d2 > r2) r2 = d2;
+  });
+  bounds.sphere = { center: c, radius: Math.sqrt(r2) };
+  return bounds;
+}
+
+// Bounds of `bounds` after the affine transform `m` (a mat4f, column-major,
+// or a legacy mat4). The box is refit around the 8 transformed corners; the
+// sphere radius grows by the largest axis scale.
+function transformBounds(bounds, m) {
+  if (!m || boundsIsEmpty(bounds)) return bounds;
+  const a = m instanceof Float32Array ? m : toFloat32(m); // MVnew.js
+  const apply = (x, y, z) => [
+    a[0] * x + a[4] * y + a[8] * z + a[12],
+    a[1] * x + a[5] * y + a[9] * z + a[13],
+    a[2] * x + a[6] * y + a[10] * z + a[14],
+  ];
+  const { min, max } = bounds.box;
+  const corners = [];
+  for (let i = 0; i < 8; ++i) {
+    corners.push(
+      apply(
+        i & 1 ? max[0] : min[0],
+        i & 2 ? max[1] : min[1],
+        i & 4 ? max[2] : min[2]
+      )
+    );
+  }
+  const box = computeBounds(corners).box;
+  const scale = Math.max(
+    Math.hypot(a[0], a[1], a[2]),
+    Math.hypot(a[4], a[5], a[6]),
+    Math.hypot(a[8], a[9], a[10])
+  );
+  const c = bounds.sphere.center;
+  return {
+    box: box,
+    sphere: {
+      center: apply(c[0], c[1], c[2]),
+      radius: bounds.sphere.radius * scale,
+    },
+  };
+}
+
+// Smallest box around all of `list` and a sphere around all their spheres,
+// centered on that box. Empty bounds are skipped.
+function unionBounds(list) {
+  const result = emptyBounds();
+  const parts = list.filter((b) => !boundsIsEmpty(b));
+  if (!parts.length) return result;
+  const { min, max } = result.box;
+  parts.forEach((b) => {
+    for (let k = 0; k < 3; ++k) {
+      min[k] = Math.min(min[k], b.box.min[k]);
+      max[k] = Math.max(max[k], b.box.max[k]);
+    }
+  });
+  const c = [0, 1, 2].map((k) => (min[k] + max[k]) / 2);
+  const radius = Math.max(
+    ...parts.map((b) => {
+      const s = b.sphere;
+      return (
+        Math.hypot(s.center[0] - c[0], s.center[1] - c[1], s.center[2] - c[2]) +
+        s.radius
+      );
+    })
+  );
+  result.sphere = { center: c, radius: radius };
+  return result;
+}
+
+// Camera placement that fits `bounds` in view: the eye moves back along
+// `direction` (the view direction to keep, from eye towards target) until
+// the bounding sphere fits the narrower of the vertical field of view
+// `fovy` (degrees) and the horizontal one implied by `aspect`; near and far
+// hug the sphere. Returns { eye, at, near, far } with plain [x,y,z] arrays.
+function frameBounds(bounds, direction, fovy, aspect) {
+  if (boundsIsEmpty(bounds)) throw new Error("frameBounds: nothing to frame");
+  const halfY = radians(fovy) / 2; // MVnew.js
+  const halfX = Math.atan(Math.tan(halfY) * aspect);
+  const radius = Math.max(bounds.sphere.radius, 1e-3);
+  const distance = radius / Math.sin(Math.min(halfX, halfY));
+  let d = [direction[0], direction[1], direction[2]];
+  const len = Math.hypot(d[0], d[1], d[2]);
+  d = len > 0 ? d.map((v) => v / len) : [0, 0, -1];
+  const at = bounds.sphere.center.slice();
+  return {
+    eye: [0, 1, 2].map((k) => at[k] - d[k] * distance),
+    at: at,
+    // keep near well above zero so depth precision is not wasted
+    near: Math.max(distance - radius, distance * 1e-3),
+    far: distance + radius,
+  };
+}
+
+// Widen `range` ({ near, far }, view distances from `eye`) so the bounding
+// sphere of `bounds` lies between near and far. With the eye inside the
+// sphere near drops to 0 or below, so clamp it before use. Empty bounds
+// leave `range` as is. Returns `range`; allocates nothing.
+function includeBoundsDepth(range, bounds, eye) {
+  if (boundsIsEmpty(bounds)) return range;
+  const { center, radius } = bounds.sphere;
+  const distance = Math.hypot(
+    center[0] - eye[0],
+    center[1] - eye[1],
+    center[2] - eye[2]
+  );
+  range.near = Math.min(range.near, distance - radius);
+  range.far = Math.max(range.far, distance + radius);
+  return range;
+}
+
+// Expose helpers globally (non-module style to match project scripts)
+window.emptyBounds = emptyBounds;
+window.boundsIsEmpty = boundsIsEmpty;
+window.computeBounds = computeBounds;
+window.transformBounds = transformBounds;
+window.unionBounds = unionBounds;
+window.frameBounds = frameBounds;
+window.includeBoundsDepth = includeBoundsDepth;
@@ -66,6 +66,42 @@ function createGPUVertexBuffer(
   return buffer;
 }
 
+// Index buffers work the same way as vertex buffers but are bound with
+// setIndexBuffer() together with an index format ("uint16" or "uint32").
+// A Uint16Array with an odd element count is 2 bytes short of the 4-byte
+// size alignment, so the buffer is padded and only the real bytes copied.
+// Returns { buffer, format, count } so callers can pass them straight to
+// setIndexBuffer()/drawIndexed().
+function createGPUIndexBuffer(
+  device,
+  typedIndexArray,
+  usage = GPUBufferUsage.INDEX | GPUBufferUsage.COPY_DST
+) {
+  if (!device) throw new Error("createGPUIndexBuffer: device is required");
+  let format;
+  if (typedIndexArray instanceof Uint16Array) format = "uint16";
+  else if (typedIndexArray instanceof Uint32Array) format = "uint32";
+  else
+    throw new Error(
+      "createGPUIndexBuffer: expected a Uint16Array or Uint32Array"
+    );
+  const buffer = device.createBuffer({
+    size: Math.max(4, Math.ceil(typedIndexArray.byteLength / 4) * 4),
+    usage: usage,
+    mappedAtCreation: true,
+  });
+  const mapping = new Uint8Array(buffer.getMappedRange());
+  mapping.set(
+    new Uint8Array(
+      typedIndexArray.buffer,
+      typedIndexArray.byteOffset,
+      typedIndexArray.byteLength
+    )
+  );
+  buffer.unmap();
+  return { buffer: buffer, format: format, count: typedIndexArray.length };
+}
+
 // Convert separated position and normal arrays (arrays of vec4) into an
 // interleaved Float32Array with layout: [x,y,z, nx,ny,nz] per vertex.
 // positionsArray and normalsArray are expected to be arrays of vec4 objects
@@ -92,4 +128,5 @@ function interleaveVertexData(positionsArray, normalsArray) {
 
 // Expose GPU helpers globally (non-module style to match existing project)
 window.createGPUVertexBuffer = createGPUVertexBuffer;
+window.createGPUIndexBuffer = createGPUIndexBuffer;
 window.interleaveVertexData = interleaveVertexData;
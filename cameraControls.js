@@ -0,0 +1,359 @@
+// Camera controls
+// Mouse/touch/keyboard controllers that move the camera. A controller does not own
+// the camera: pointer input only queues up motion, and update() applies it
+// to whatever eye/target the caller passes in, once per frame. So sliders,
+// "Frame all" and friends can keep moving the camera directly and the
+// controller simply continues from the new pose.
+//
+// Orbit: left-drag rotates around the target, right-drag or shift-drag
+// pans target and eye together, the wheel or a two-finger pinch dollies
+// towards the target. With damping, queued motion is applied
+// exponentially over the next frames (a fraction 1 - exp(-damping * dt)
+// per frame, so the total is the same at any frame rate) instead of at
+// once.
+//
+// Fly: first-person mouse look under pointer lock plus WASD/QE movement
+// (see createFlyControls()).
+
+const DEGREES_PER_RADIAN = 180 / Math.PI;
+
+// Orbit controller settings (createOrbitControls() options):
+// - rotateSpeed: degrees of yaw/pitch per dragged pixel
+// - panSpeed: multiplier on the pan, 1 keeps the point under the cursor
+// - zoomSpeed: dolly per wheel pixel (distance scales by exp(-zoomSpeed * dy))
+// - damping: rate (1/s) at which queued motion is applied, 0 for none
+// - minPitch, maxPitch: elevation limits in degrees, inside (-90, 90) so
+//   the view never flips over the poles
+// - minDistance, maxDistance: dolly limits
+// - canStart(event): return false to leave a pointerdown to someone else
+//   (e.g. the sculpt brush)
+const defaultOrbitControls = {
+  rotateSpeed: 0.3,
+  panSpeed: 1,
+  zoomSpeed: 0.0015,
+  damping: 12,
+  minPitch: -89,
+  maxPitch: 89,
+  minDistance: 0.1,
+  maxDistance: 1000,
+  canStart: function () {
+    return true;
+  },
+};
+
+// Yaw/pitch (degrees) and distance of `eye` around `target`, with y up and
+// yaw 0 looking down -z.
+function orbitFromEye(eye, target) {
+  const dx = eye[0] - target[0];
+  const dy = eye[1] - target[1];
+  const dz = eye[2] - target[2];
+  const distance = Math.hypot(dx, dy, dz);
+  return {
+    yaw: Math.atan2(dx, dz) * DEGREES_PER_RADIAN,
+    pitch: distance > 0 ? Math.asin(dy / distance) * DEGREES_PER_RADIAN : 0,
+    distance: distance,
+  };
+}
+
+// Inverse of orbitFromEye(): writes the eye position into `out`.
+function eyeFromOrbit(out, target, yaw, pitch, distance) {
+  const y = radians(yaw); // MVnew.js
+  const p = radians(pitch);
+  out[0] = target[0] + distance * Math.cos(p) * Math.sin(y);
+  out[1] = target[1] + distance * Math.sin(p);
+  out[2] = target[2] + distance * Math.cos(p) * Math.cos(y);
+  return out;
+}
+
+// Attach an orbit controller to `element` (the canvas). Returns
+// { settings, update(dt, camera), dispose() } where `camera` is
+// { eye, target, fovy }: eye and target are [x,y,z] arrays (or vec3f)
+// updated in place, fovy (degrees) scales panning so the grabbed point
+// follows the cursor. update() returns true when it moved the camera.
+function createOrbitControls(element, options = {}) {
+  const settings = Object.assign({}, defaultOrbitControls, options);
+  // motion queued by input and not yet applied
+  const pending = { yaw: 0, pitch: 0, panX: 0, panY: 0, dolly: 0 };
+  // active pointers by id: last position, for drags and pinches
+  const pointers = new Map();
+  let dragMode = null; // "rotate" | "pan" while a single pointer drags
+
+  function pinchState() {
+    const [a, b] = Array.from(pointers.values());
+    return {
+      spread: Math.hypot(a.x - b.x, a.y - b.y),
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2,
+    };
+  }
+
+  function onPointerDown(event) {
+    if (!settings.canStart(event)) return;
+    element.setPointerCapture(event.pointerId);
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    dragMode =
+      event.button === 2 || event.shiftKey || pointers.size > 1
+        ? "pan"
+        : "rotate";
+  }
+
+  function onPointerMove(event) {
+    const last = pointers.get(event.pointerId);
+    if (!last) return;
+    if (pointers.size === 2) {
+      // two fingers: spread dollies, the midpoint pans
+      const before = pinchState();
+      last.x = event.clientX;
+      last.y = event.clientY;
+      const after = pinchState();
+      if (before.spread > 0 && after.spread > 0) {
+        pending.dolly -= Math.log(after.spread / before.spread);
+      }
+      pending.panX += after.x - before.x;
+      pending.panY += after.y - before.y;
+      return;
+    }
+    const dx = event.clientX - last.x;
+    const dy = event.clientY - last.y;
+    last.x = event.clientX;
+    last.y = event.clientY;
+    if (dragMode === "pan") {
+      pending.panX += dx;
+      pending.panY += dy;
+    } else {
+      // dragging right swings the camera left around the target, so the
+      // scene appears to follow the cursor
+      pending.yaw -= dx * settings.rotateSpeed;
+      pending.pitch += dy * settings.rotateSpeed;
+    }
+  }
+
+  function onPointerUp(event) {
+    pointers.delete(event.pointerId);
+    if (!pointers.size) dragMode = null;
+  }
+
+  function onWheel(event) {
+    event.preventDefault();
+    // deltaMode 1 is lines; treat a line as ~16 pixels
+    const dy = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+    pending.dolly += dy * settings.zoomSpeed;
+  }
+
+  function onContextMenu(event) {
+    event.preventDefault(); // right-drag pans
+  }
+
+  element.addEventListener("pointerdown", onPointerDown);
+  element.addEventListener("pointermove", onPointerMove);
+  element.addEventListener("pointerup", onPointerUp);
+  element.addEventListener("pointercancel", onPointerUp);
+  element.addEventListener("wheel", onWheel, { passive: false });
+  element.addEventListener("contextmenu", onContextMenu);
+
+  function update(dt, camera) {
+    if (
+      !pending.yaw &&
+      !pending.pitch &&
+      !pending.panX &&
+      !pending.panY &&
+      !pending.dolly
+    ) {
+      return false;
+    }
+    const fraction =
+      settings.damping > 0 ? 1 - Math.exp(-settings.damping * dt) : 1;
+    const step = {};
+    Object.keys(pending).forEach((key) => {
+      step[key] = pending[key] * fraction;
+      pending[key] -= step[key];
+      // stop once what is left is invisible
+      if (Math.abs(pending[key]) < 1e-4) pending[key] = 0;
+    });
+
+    const { eye, target } = camera;
+    const orbit = orbitFromEye(eye, target);
+    const yaw = orbit.yaw + step.yaw;
+    const pitch = Math.min(
+      Math.max(orbit.pitch + step.pitch, settings.minPitch),
+      settings.maxPitch
+    );
+    const distance = Math.min(
+      Math.max(orbit.distance * Math.exp(step.dolly), settings.minDistance),
+      settings.maxDistance
+    );
+
+    if (step.panX || step.panY) {
+      // world units per pixel at the target's depth
+      const scale =
+        ((2 * distance * Math.tan(radians(camera.fovy) / 2)) /
+          (element.clientHeight || 1)) *
+        settings.panSpeed;
+      const y = radians(yaw);
+      const p = radians(pitch);
+      // camera right and up vectors for this yaw/pitch
+      const right = [Math.cos(y), 0, -Math.sin(y)];
+      const upward = [
+        -Math.sin(p) * Math.sin(y),
+        Math.cos(p),
+        -Math.sin(p) * Math.cos(y),
+      ];
+      for (let k = 0; k < 3; ++k) {
+        target[k] += (-step.panX * right[k] + step.panY * upward[k]) * scale;
+      }
+    }
+    eyeFromOrbit(eye, target, yaw, pitch, distance);
+    return true;
+  }
+
+  function dispose() {
+    element.removeEventListener("pointerdown", onPointerDown);
+    element.removeEventListener("pointermove", onPointerMove);
+    element.removeEventListener("pointerup", onPointerUp);
+    element.removeEventListener("pointercancel", onPointerUp);
+    element.removeEventListener("wheel", onWheel);
+    element.removeEventListener("contextmenu", onContextMenu);
+  }
+
+  return { settings: settings, update: update, dispose: dispose };
+}
+
+// Fly controller settings (createFlyControls() options):
+// - lookSpeed: degrees of yaw/pitch per mouse pixel while the pointer is
+//   locked
+// - speed: movement in world units per second
+// - boost: speed multiplier while shift is held
+// - minPitch, maxPitch: how far down/up the view may tilt, in degrees
+// - canStart(event): return false to keep a click from locking the pointer
+const defaultFlyControls = {
+  lookSpeed: 0.15,
+  speed: 5,
+  boost: 4,
+  minPitch: -89,
+  maxPitch: 89,
+  canStart: function () {
+    return true;
+  },
+};
+
+// movement keys (KeyboardEvent.code) -> [forward, right, up] direction
+const FLY_KEYS = {
+  KeyW: [1, 0, 0],
+  KeyS: [-1, 0, 0],
+  KeyD: [0, 1, 0],
+  KeyA: [0, -1, 0],
+  KeyE: [0, 0, 1],
+  KeyQ: [0, 0, -1],
+};
+
+// Attach a first-person fly controller to `element`: clicking it locks the
+// pointer for mouse look (Escape releases it), WASD moves along the view
+// direction and sideways, E/Q straight up/down, shift speeds up. Motion is
+// speed * dt per frame, so it does not depend on the frame rate. Same
+// interface as createOrbitControls(); the target stays at its distance in
+// front of the eye, so switching back to orbiting circles the point that
+// was being looked at.
+function createFlyControls(element, options = {}) {
+  const settings = Object.assign({}, defaultFlyControls, options);
+  const pending = { yaw: 0, pitch: 0 };
+  const held = new Set(); // codes of the movement keys held down
+  let boosted = false;
+
+  function onClick(event) {
+    if (document.pointerLockElement === element) return;
+    if (settings.canStart(event)) element.requestPointerLock();
+  }
+
+  function onMouseMove(event) {
+    if (document.pointerLockElement !== element) return;
+    // right turns right and down looks down
+    pending.yaw -= event.movementX * settings.lookSpeed;
+    pending.pitch -= event.movementY * settings.lookSpeed;
+  }
+
+  function onKey(event) {
+    // leave typing in the controls panel alone
+    if (
+      event.target.closest &&
+      event.target.closest("input, select, textarea")
+    ) {
+      return;
+    }
+    boosted = event.shiftKey;
+    if (!FLY_KEYS[event.code]) return;
+    if (event.type === "keydown") held.add(event.code);
+    else held.delete(event.code);
+    event.preventDefault();
+  }
+
+  function onBlur() {
+    // key-ups are missed while the window is in the background
+    held.clear();
+    boosted = false;
+  }
+
+  element.addEventListener("click", onClick);
+  document.addEventListener("mousemove", onMouseMove);
+  window.addEventListener("keydown", onKey);
+  window.addEventListener("keyup", onKey);
+  window.addEventListener("blur", onBlur);
+
+  function update(dt, camera) {
+    if (!pending.yaw && !pending.pitch && !held.size) return false;
+    const { eye, target } = camera;
+    // the view direction as an orbit of the target around the eye
+    const view = orbitFromEye(target, eye);
+    const yaw = view.yaw + pending.yaw;
+    const pitch = Math.min(
+      Math.max(view.pitch + pending.pitch, settings.minPitch),
+      settings.maxPitch
+    );
+    pending.yaw = pending.pitch = 0;
+
+    const move = [0, 0, 0];
+    held.forEach((code) => {
+      for (let k = 0; k < 3; ++k) move[k] += FLY_KEYS[code][k];
+    });
+    const length = Math.hypot(move[0], move[1], move[2]);
+    if (length > 0) {
+      const distance =
+        (settings.speed * (boosted ? settings.boost : 1) * dt) / length;
+      const y = radians(yaw); // MVnew.js
+      const p = radians(pitch);
+      const forward = [
+        Math.cos(p) * Math.sin(y),
+        Math.sin(p),
+        Math.cos(p) * Math.cos(y),
+      ];
+      const right = [-Math.cos(y), 0, Math.sin(y)];
+      for (let k = 0; k < 3; ++k) {
+        eye[k] +=
+          (move[0] * forward[k] +
+            move[1] * right[k] +
+            (k === 1 ? move[2] : 0)) *
+          distance;
+      }
+    }
+    eyeFromOrbit(target, eye, yaw, pitch, view.distance || 1);
+    return true;
+  }
+
+  function dispose() {
+    element.removeEventListener("click", onClick);
+    document.removeEventListener("mousemove", onMouseMove);
+    window.removeEventListener("keydown", onKey);
+    window.removeEventListener("keyup", onKey);
+    window.removeEventListener("blur", onBlur);
+    if (document.pointerLockElement === element) document.exitPointerLock();
+  }
+
+  return { settings: settings, update: update, dispose: dispose };
+}
+
+// Expose helpers globally (non-module style to match project scripts)
+window.defaultOrbitControls = defaultOrbitControls;
+window.orbitFromEye = orbitFromEye;
+window.eyeFromOrbit = eyeFromOrbit;
+window.createOrbitControls = createOrbitControls;
+window.defaultFlyControls = defaultFlyControls;
+window.createFlyControls = createFlyControls;
@@ -0,0 +1,192 @@
+// Camera paths
+// Named camera bookmarks and keyframed fly-throughs. A camera pose is an
+// eye and a target ([x,y,z] arrays) with y up, like main.js's scene.camera.
+//
+// A path is a list of keyframes sorted by time. Between two keyframes the
+// eye follows a Catmull-Rom spline through the neighbouring keyframes, the
+// view direction is slerped (see quatSlerp() in MVnew.js) and the distance
+// to the target is interpolated linearly, all driven by the easing of the
+// segment's first keyframe. Sampling depends on nothing but the keyframes
+// and the time, so a recorded path plays back the same way every time.
+
+// Easing curves mapping segment progress u in [0, 1] to [0, 1].
+const easingFunctions = {
+  linear: {
+    label: "Linear",
+    fn: function (u) {
+      return u;
+    },
+  },
+  easeIn: {
+    label: "Ease in",
+    fn: function (u) {
+      return u * u * u;
+    },
+  },
+  easeOut: {
+    label: "Ease out",
+    fn: function (u) {
+      const v = 1 - u;
+      return 1 - v * v * v;
+    },
+  },
+  easeInOut: {
+    label: "Ease in-out",
+    fn: function (u) {
+      return u * u * (3 - 2 * u);
+    },
+  },
+};
+
+// Bookmark: a named pose, with copies of the given eye/target.
+function cameraBookmark(name, eye, target) {
+  return {
+    name: name,
+    eye: [eye[0], eye[1], eye[2]],
+    target: [target[0], target[1], target[2]],
+  };
+}
+
+// Keyframe: a pose at `time` seconds; `easing` (a key of easingFunctions)
+// shapes the segment from this keyframe to the next.
+function cameraKeyframe(time, eye, target, easing = "easeInOut") {
+  if (!isFinite(time) || time < 0) {
+    throw new Error("cameraKeyframe: time must be a number >= 0");
+  }
+  if (!easingFunctions[easing]) {
+    throw new Error("cameraKeyframe: unknown easing '" + easing + "'");
+  }
+  return {
+    time: time,
+    eye: [eye[0], eye[1], eye[2]],
+    target: [target[0], target[1], target[2]],
+    easing: easing,
+  };
+}
+
+// Insert `keyframe` into `keyframes`, keeping them sorted by time (a
+// keyframe at the same time is replaced). Returns the array.
+function addCameraKeyframe(keyframes, keyframe) {
+  const same = keyframes.findIndex((k) => k.time === keyframe.time);
+  if (same >= 0) {
+    keyframes[same] = keyframe;
+  } else {
+    keyframes.push(keyframe);
+    keyframes.sort((a, b) => a.time - b.time);
+  }
+  return keyframes;
+}
+
+// Time of the last keyframe (the path starts at 0), or 0 when empty.
+function cameraPathDuration(keyframes) {
+  return keyframes.length ? keyframes[keyframes.length - 1].time : 0;
+}
+
+// Why `eye` and `target` do not make a usable y-up pose, or null if they
+// do: the view direction must exist and must not be vertical, or the
+// camera's roll around it is undefined.
+function viewPoseProblem(eye, target) {
+  const d = [0, 1, 2].map((k) => target[k] - eye[k]);
+  const distance = Math.hypot(d[0], d[1], d[2]);
+  if (!(distance > 0)) return "eye and target are the same point";
+  if (Math.hypot(d[0], d[2]) <= distance * 1e-6) {
+    return "view direction is vertical";
+  }
+  return null;
+}
+
+// Orientation of a camera at `eye` looking at `target` with y up, as a quat
+// taking the camera's -z axis to the view direction.
+function lookRotation(eye, target) {
+  const forward = normalize(subtract(vec3(...target), vec3(...eye))); // MVnew.js
+  let right = cross(forward, vec3(0, 1, 0));
+  // looking straight up or down: any horizontal right vector will do
+  right = length(right) > 1e-6 ? normalize(right) : vec3(1, 0, 0);
+  const upward = cross(right, forward);
+  // columns: right, up, back
+  return quatFromMat4(
+    mat4(
+      right[0],
+      upward[0],
+      -forward[0],
+      0,
+      right[1],
+      upward[1],
+      -forward[1],
+      0,
+      right[2],
+      upward[2],
+      -forward[2],
+      0,
+      0,
+      0,
+      0,
+      1
+    )
+  ); // MVnew.js
+}
+
+// Uniform Catmull-Rom interpolation between p1 and p2 at s in [0, 1].
+function catmullRom(p0, p1, p2, p3, s) {
+  const s2 = s * s;
+  const s3 = s2 * s;
+  return [0, 1, 2].map(
+    (k) =>
+      0.5 *
+      (2 * p1[k] +
+        (p2[k] - p0[k]) * s +
+        (2 * p0[k] - 5 * p1[k] + 4 * p2[k] - p3[k]) * s2 +
+        (3 * p1[k] - p0[k] - 3 * p2[k] + p3[k]) * s3)
+  );
+}
+
+// Camera pose { eye, target } on the path at `time` seconds (clamped to the
+// keyframes' range), or null for an empty path.
+function sampleCameraPath(keyframes, time) {
+  const count = keyframes.length;
+  if (!count) return null;
+  if (count === 1 || time <= keyframes[0].time) {
+    return {
+      eye: keyframes[0].eye.slice(),
+      target: keyframes[0].target.slice(),
+    };
+  }
+  const last = keyframes[count - 1];
+  if (time >= last.time) {
+    return { eye: last.eye.slice(), target: last.target.slice() };
+  }
+  let i = 0;
+  while (keyframes[i + 1].time <= time) ++i;
+  const a = keyframes[i];
+  const b = keyframes[i + 1];
+  const s = easingFunctions[a.easing].fn((time - a.time) / (b.time - a.time));
+
+  // the end keyframes stand in for their missing neighbours, so the first
+  // and last segments still pass through every keyframe
+  const before = keyframes[Math.max(i - 1, 0)];
+  const after = keyframes[Math.min(i + 2, count - 1)];
+  const eye = catmullRom(before.eye, a.eye, b.eye, after.eye, s);
+
+  const rotation = quatSlerp(
+    lookRotation(a.eye, a.target),
+    lookRotation(b.eye, b.target),
+    s
+  ); // MVnew.js
+  const forward = quatRotate(rotation, vec3(0, 0, -1)); // MVnew.js
+  const distanceA = length(subtract(vec3(...a.target), vec3(...a.eye)));
+  const distanceB = length(subtract(vec3(...b.target), vec3(...b.eye)));
+  const distance = distanceA + (distanceB - distanceA) * s;
+  return {
+    eye: eye,
+    target: [0, 1, 2].map((k) => eye[k] + forward[k] * distance),
+  };
+}
+
+// Expose helpers globally (non-module style to match project scripts)
+window.easingFunctions = easingFunctions;
+window.cameraBookmark = cameraBookmark;
+window.cameraKeyframe = cameraKeyframe;
+window.addCameraKeyframe = addCameraKeyframe;
+window.cameraPathDuration = cameraPathDuration;
+window.viewPoseProblem = viewPoseProblem;
+window.sampleCameraPath = sampleCameraPath;
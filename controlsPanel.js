@@ -0,0 +1,267 @@
+// Controls panel
+// Builds the GUI from a declarative schema, so a new parameter is one entry
+// in the schema (see eventHandlers.js::controlsSchema()) instead of markup
+// plus hand-written listeners. Every entry is a plain object with a `type`:
+//
+// - group: { label, children, collapsed } a collapsible section
+//   (<details>); groups nest
+// - row: { children } several controls on one line
+// - range / number: { id, label, min, max, step, get, set } a slider (with
+//   a value readout) or a number field; `grow: true` widens a slider's
+//   symmetric range when the value moves past it
+// - checkbox: { id, label, get, set }
+// - select: { id, label, options, get, set, size } options are [value,
+//   label] pairs, or a function returning them
+// - color: { id, label, get, set } get returns [r, g, b(, a)] in 0..1 (a
+//   vec4 works), set receives [r, g, b]
+// - text: { id, label, get, set, placeholder }
+// - file: { id, label, accept, multiple, set } set receives the FileList
+// - button: { id, label, action }
+// - output: { id, text, className } an element the app writes into
+//
+// Bound controls read their value with get() when built and on refresh(),
+// and call set(value) with the parsed value on the `input` event, which
+// fires for mouse, touch and keyboard alike. Entries with `on: "change"`
+// only commit when the edit is done (for settings that are expensive to
+// apply, like the terrain), calling `preview(value)` on every input if
+// given. Controls without get() keep whatever value the app gives them.
+//
+// Edits of bound controls (get() and set()) are reported to the optional
+// `options.onEdit(entry, before, after, label)` with the value before and
+// after set() and a label naming the control and its group, and the end of
+// an edit (the `change` event: a slider released, a color dialog closed)
+// to `options.onEditEnd(entry)`; eventHandlers.js records them for undo.
+
+// Number of decimals in a step like 0.1 or 0.05, for value readouts.
+function stepDigits(step) {
+  const text = String(step || 1);
+  const dot = text.indexOf(".");
+  return dot < 0 ? 0 : text.length - dot - 1;
+}
+
+// [r, g, b] in 0..1 <-> "#rrggbb" for <input type="color">.
+function colorToHex(color) {
+  return (
+    "#" +
+    [0, 1, 2]
+      .map((k) => {
+        const v = Math.round(Math.min(Math.max(color[k], 0), 1) * 255);
+        return (v < 16 ? "0" : "") + v.toString(16);
+      })
+      .join("")
+  );
+}
+
+function hexToColor(hex) {
+  return [1, 3, 5].map((i) => parseInt(hex.substr(i, 2), 16) / 255);
+}
+
+// A copy of a bound value that later edits of the app state cannot change
+// (colors and vectors are arrays the app may edit in place).
+function copyControlValue(value) {
+  return Array.isArray(value) || ArrayBuffer.isView(value)
+    ? Array.from(value)
+    : value;
+}
+
+// Build the controls of `schema` (an array of entries) into `container`.
+// Returns { refresh(ids), element(id) }: refresh() re-reads the bound
+// values from the app (only the entries with the given ids, if any),
+// skipping a field that is being typed into; element() returns the input
+// created for an entry id.
+function createControlsPanel(container, schema, options = {}) {
+  const bindings = [];
+  const elements = new Map();
+
+  function labelFor(entry, input) {
+    const label = document.createElement("label");
+    label.htmlFor = input.id;
+    label.textContent = entry.label;
+    return label;
+  }
+
+  // the value the input shows -> the value set() receives
+  function parse(entry, input) {
+    switch (entry.type) {
+      case "range":
+      case "number":
+        return parseFloat(input.value);
+      case "checkbox":
+        return input.checked;
+      case "color":
+        return hexToColor(input.value);
+      case "file":
+        return input.files;
+      default:
+        return input.value;
+    }
+  }
+
+  function show(binding) {
+    const { entry, input, readout } = binding;
+    const value = entry.get();
+    switch (entry.type) {
+      case "checkbox":
+        input.checked = value;
+        break;
+      case "color":
+        input.value = colorToHex(value);
+        break;
+      case "range":
+        if (entry.grow && Math.abs(value) > parseFloat(input.max)) {
+          input.max = Math.ceil(Math.abs(value));
+          input.min = -input.max;
+        }
+        input.value = value;
+        break;
+      default:
+        input.value = value;
+    }
+    if (readout) {
+      readout.textContent = Number(value).toFixed(stepDigits(entry.step));
+    }
+  }
+
+  function buildInput(entry) {
+    const tag = entry.type === "select" ? "select" : "input";
+    const input = document.createElement(tag);
+    input.id = entry.id;
+    input.name = entry.id;
+    if (entry.type === "select") {
+      const options =
+        typeof entry.options === "function" ? entry.options() : entry.options;
+      (options || []).forEach(([value, label]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        input.appendChild(option);
+      });
+      if (entry.size) input.size = entry.size;
+    } else {
+      input.type = entry.type;
+    }
+    ["min", "max", "step", "accept", "placeholder"].forEach((key) => {
+      if (entry[key] !== undefined) input[key] = entry[key];
+    });
+    if (entry.multiple) input.multiple = true;
+    if (entry.type === "text") input.spellcheck = false;
+    if (entry.value !== undefined) input.value = entry.value;
+    return input;
+  }
+
+  // `inRow`: part of a row, which already provides the line; `group`: the
+  // label of the innermost enclosing group
+  function build(parent, entry, inRow = false, group = "") {
+    if (entry.type === "group") {
+      const details = document.createElement("details");
+      details.open = !entry.collapsed;
+      const summary = document.createElement("summary");
+      summary.textContent = entry.label;
+      details.appendChild(summary);
+      entry.children.forEach((child) =>
+        build(details, child, false, entry.label)
+      );
+      parent.appendChild(details);
+      return;
+    }
+    if (entry.type === "row") {
+      const row = document.createElement("div");
+      entry.children.forEach((child) => build(row, child, true, group));
+      parent.appendChild(row);
+      return;
+    }
+    const line = inRow ? parent : document.createElement("div");
+    if (!inRow) parent.appendChild(line);
+
+    if (entry.type === "output") {
+      const output = document.createElement(inRow ? "span" : "div");
+      output.id = entry.id;
+      if (entry.className) output.className = entry.className;
+      if (entry.text) output.textContent = entry.text;
+      line.appendChild(output);
+      return;
+    }
+    if (entry.type === "button") {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.id = entry.id;
+      button.textContent = entry.label;
+      button.addEventListener("click", () => entry.action());
+      line.appendChild(button);
+      elements.set(entry.id, button);
+      return;
+    }
+
+    const input = buildInput(entry);
+    line.appendChild(input);
+    elements.set(entry.id, input);
+    let readout = null;
+    if (entry.label) {
+      const label = labelFor(entry, input);
+      if (entry.type === "range") {
+        label.textContent = entry.label + ": ";
+        readout = document.createElement("span");
+        readout.id = entry.id + "-value";
+        label.appendChild(readout);
+      }
+      line.appendChild(document.createTextNode(" "));
+      line.appendChild(label);
+    }
+    const binding = { entry: entry, input: input, readout: readout };
+    if (entry.get) {
+      bindings.push(binding);
+      show(binding);
+    }
+    if (!entry.set) return;
+    // file pickers only report on change; everything else on input unless
+    // the entry asks to commit on change
+    const commitOn = entry.type === "file" ? "change" : entry.on || "input";
+    const recorded = entry.get && options.onEdit;
+    const editLabel = (group ? group + ": " : "") + (entry.label || entry.id);
+    input.addEventListener(commitOn, () => {
+      const before = recorded ? copyControlValue(entry.get()) : undefined;
+      entry.set(parse(entry, input));
+      if (readout) {
+        readout.textContent = Number(input.value).toFixed(
+          stepDigits(entry.step)
+        );
+      }
+      if (recorded) {
+        options.onEdit(entry, before, copyControlValue(entry.get()), editLabel);
+      }
+    });
+    if (commitOn !== "input" && entry.preview) {
+      input.addEventListener("input", () => entry.preview(parse(entry, input)));
+    }
+    // added after the commit listener, so for `on: "change"` entries too
+    // the edit ends after it was reported
+    if (recorded && options.onEditEnd) {
+      input.addEventListener("change", () => options.onEditEnd(entry));
+    }
+  }
+
+  schema.forEach((entry) => build(container, entry));
+
+  function refresh(ids) {
+    bindings.forEach((binding) => {
+      if (ids && !ids.includes(binding.entry.id)) return;
+      // do not overwrite what the user is typing
+      const typing =
+        document.activeElement === binding.input &&
+        (binding.entry.type === "text" || binding.entry.type === "number");
+      if (!typing) show(binding);
+    });
+  }
+
+  return {
+    refresh: refresh,
+    element: function (id) {
+      return elements.get(id) || null;
+    },
+  };
+}
+
+// Expose helpers globally (non-module style to match project scripts)
+window.colorToHex = colorToHex;
+window.hexToColor = hexToColor;
+window.createControlsPanel = createControlsPanel;
@@ -1,53 +1,1387 @@
-function addEventListeners() {
-  //cam
-  document.querySelector("#camX").textContent = camX;
-  document.querySelector("#cam-x-axis").value = camX;
-  document
-    .querySelector("#cam-x-axis")
-    .addEventListener("pointermove", (event) => {
-      camX = parseInt(event.target.value);
-      document.querySelector("#camX").textContent = event.target.value;
-    });
-  document.querySelector("#camY").textContent = camY;
-  document.querySelector("#cam-y-axis").value = camY;
-  document
-    .querySelector("#cam-y-axis")
-    .addEventListener("pointermove", (event) => {
-      camY = parseInt(event.target.value);
-      document.querySelector("#camY").textContent = event.target.value;
+// GUI
+// The controls panel is generated by controlsPanel.js from controlsSchema()
+// below: each entry binds one control to app state (mostly main.js's
+// `scene`), so exposing a new parameter means adding one entry there. The
+// actions behind buttons and lists follow the schema, then the canvas's own
+// pointer input (picking and sculpting) and the show*() functions that
+// write app state back into the panel. Edits made through the panel or on
+// the canvas are recorded in `commandHistory` for undo.
+
+// the panel built by initControls() (controlsPanel.js)
+let controlsPanel = null;
+
+// undo/redo of edits made through the panel and on the canvas
+// (historyUtils.js), created by initControls()
+let commandHistory = null;
+
+// [value, label] options from a map of presets with labels
+function presetOptions(presets) {
+  return Object.keys(presets).map((name) => [name, presets[name].label]);
+}
+
+// color picker for owner()[key], an [r, g, b] color of the scene (owner is
+// looked up on every use since loading a scene replaces the objects)
+function colorControl(id, label, owner, key) {
+  return {
+    type: "color",
+    id: id,
+    label: label,
+    get: () => owner()[key],
+    set: (c) => {
+      owner()[key] = c;
+    },
+  };
+}
+
+// number field for scene.terrain.noise[key]; seed and octaves are integers
+function noiseControl(key, label, min, max, step) {
+  return {
+    type: "number",
+    id: "terrain-noise-" + key,
+    label: label,
+    min: min,
+    max: max,
+    step: step,
+    on: "change",
+    get: () => scene.terrain.noise[key],
+    set: (v) =>
+      updateTerrain({
+        noise: Object.assign({}, scene.terrain.noise, {
+          [key]: key === "seed" || key === "octaves" ? Math.trunc(v) : v,
+        }),
+      }),
+  };
+}
+
+// number field for a top-level terrain field
+function terrainControl(key, id, label, min, max, step) {
+  return {
+    type: "number",
+    id: id,
+    label: label,
+    min: min,
+    max: max,
+    step: step,
+    on: "change",
+    get: () => scene.terrain[key],
+    set: (v) => updateTerrain({ [key]: v }),
+  };
+}
+
+// Every control of the panel, top to bottom.
+function controlsSchema() {
+  return [
+    {
+      type: "group",
+      label: "Camera",
+      children: [
+        {
+          type: "range",
+          id: "cam-x-axis",
+          label: "Camera x",
+          min: -25,
+          max: 25,
+          step: 0.1,
+          grow: true,
+          get: () => scene.camera.eye[0],
+          set: (v) => {
+            scene.camera.eye[0] = v;
+          },
+        },
+        {
+          type: "range",
+          id: "cam-y-axis",
+          label: "Camera y",
+          min: -25,
+          max: 25,
+          step: 0.1,
+          grow: true,
+          get: () => scene.camera.eye[1],
+          set: (v) => {
+            scene.camera.eye[1] = v;
+          },
+        },
+        {
+          type: "range",
+          id: "cam-z-axis",
+          label: "Camera z",
+          min: -25,
+          max: 25,
+          step: 0.1,
+          grow: true,
+          get: () => scene.camera.eye[2],
+          set: (v) => {
+            scene.camera.eye[2] = v;
+          },
+        },
+        { type: "output", id: "cam-target" },
+        {
+          type: "select",
+          id: "camera-mode",
+          label: "Camera controls",
+          options: presetOptions(cameraModes), // main.js
+          get: () => scene.camera.controls,
+          set: setCameraMode, // main.js
+        },
+        {
+          type: "row",
+          children: [
+            {
+              type: "button",
+              id: "frame-all",
+              label: "Frame all",
+              action: frameAll,
+            },
+            {
+              type: "button",
+              id: "frame-selection",
+              label: "Frame selection",
+              action: frameSelected,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      type: "group",
+      label: "Bookmarks & fly-through",
+      collapsed: true,
+      children: [
+        {
+          type: "row",
+          children: [
+            { type: "text", id: "bookmark-name", placeholder: "View name" },
+            {
+              type: "button",
+              id: "bookmark-add",
+              label: "Save view",
+              action: saveBookmark,
+            },
+          ],
+        },
+        {
+          type: "row",
+          children: [
+            { type: "select", id: "bookmark-list" },
+            {
+              type: "button",
+              id: "bookmark-go",
+              label: "Go",
+              action: goToBookmark,
+            },
+            {
+              type: "button",
+              id: "bookmark-delete",
+              label: "Delete",
+              action: deleteBookmark,
+            },
+          ],
+        },
+        {
+          type: "row",
+          children: [
+            {
+              type: "number",
+              id: "keyframe-time",
+              label: "s",
+              min: 0,
+              step: 0.5,
+              value: 0,
+            },
+            {
+              type: "select",
+              id: "keyframe-easing",
+              options: presetOptions(easingFunctions), // cameraPathUtils.js
+              value: "easeInOut",
+            },
+            {
+              type: "button",
+              id: "keyframe-add",
+              label: "Add keyframe",
+              action: addKeyframe,
+            },
+          ],
+        },
+        {
+          type: "row",
+          children: [
+            {
+              type: "select",
+              id: "keyframe-list",
+              size: 4,
+              set: selectKeyframe,
+            },
+            {
+              type: "button",
+              id: "keyframe-delete",
+              label: "Delete",
+              action: deleteKeyframe,
+            },
+            {
+              type: "button",
+              id: "keyframe-clear",
+              label: "Clear",
+              action: clearKeyframes,
+            },
+          ],
+        },
+        {
+          type: "row",
+          children: [
+            {
+              type: "button",
+              id: "path-play",
+              label: "Play",
+              action: togglePathPlayback,
+            },
+            {
+              type: "button",
+              id: "path-rewind",
+              label: "Rewind",
+              action: rewindPath,
+            },
+            {
+              type: "checkbox",
+              id: "path-loop",
+              label: "Loop",
+              get: () => scene.flyThrough.loop,
+              set: (v) => {
+                scene.flyThrough.loop = v;
+              },
+            },
+          ],
+        },
+        {
+          type: "range",
+          id: "path-time",
+          label: "Time",
+          min: 0,
+          max: 0,
+          step: 0.01,
+          set: scrubPath,
+        },
+      ],
+    },
+    {
+      type: "group",
+      label: "Light",
+      children: [
+        {
+          type: "range",
+          id: "light-x-axis",
+          label: "Light source x",
+          min: -25,
+          max: 25,
+          step: 0.1,
+          get: () => scene.lights[0].position[0],
+          set: (v) => {
+            scene.lights[0].position[0] = v;
+          },
+        },
+        {
+          type: "range",
+          id: "light-y-axis",
+          label: "Light source y",
+          min: -25,
+          max: 25,
+          step: 0.1,
+          get: () => scene.lights[0].position[1],
+          set: (v) => {
+            scene.lights[0].position[1] = v;
+          },
+        },
+        {
+          type: "range",
+          id: "light-z-axis",
+          label: "Light source z",
+          min: -25,
+          max: 25,
+          step: 0.1,
+          get: () => scene.lights[0].position[2],
+          set: (v) => {
+            scene.lights[0].position[2] = v;
+          },
+        },
+        colorControl(
+          "light-ambient",
+          "Ambient",
+          () => scene.lights[0],
+          "ambient"
+        ),
+        colorControl(
+          "light-diffuse",
+          "Diffuse",
+          () => scene.lights[0],
+          "diffuse"
+        ),
+        colorControl(
+          "light-specular",
+          "Specular",
+          () => scene.lights[0],
+          "specular"
+        ),
+      ],
+    },
+    {
+      type: "group",
+      label: "Material",
+      children: [
+        colorControl(
+          "material-ambient",
+          "Ambient",
+          () => scene.material,
+          "ambient"
+        ),
+        colorControl(
+          "material-diffuse",
+          "Diffuse",
+          () => scene.material,
+          "diffuse"
+        ),
+        colorControl(
+          "material-specular",
+          "Specular",
+          () => scene.material,
+          "specular"
+        ),
+        {
+          type: "range",
+          id: "material-shininess",
+          label: "Shininess",
+          min: 1,
+          max: 200,
+          step: 1,
+          get: () => scene.material.shininess,
+          set: (v) => {
+            scene.material.shininess = v;
+          },
+        },
+      ],
+    },
+    {
+      type: "group",
+      label: "Shading",
+      children: [
+        {
+          type: "checkbox",
+          id: "smooth-shading",
+          label: "Smooth normals (indexed mesh)",
+          get: () => scene.render.smoothShading,
+          set: (v) => {
+            scene.render.smoothShading = v;
+          },
+        },
+        {
+          type: "row",
+          children: [
+            {
+              type: "checkbox",
+              id: "terrain-lod",
+              label: "Chunked quadtree LOD",
+              get: () => scene.render.terrainLOD,
+              // rebuilds the terrain in the other representation
+              set: (v) => {
+                scene.render.terrainLOD = v;
+                updateTerrain({});
+              },
+            },
+            { type: "output", id: "terrain-lod-stats" },
+          ],
+        },
+        {
+          type: "row",
+          children: [
+            {
+              type: "checkbox",
+              id: "frustum-culling",
+              label: "Frustum culling",
+              get: () => scene.render.frustumCulling,
+              set: (v) => {
+                scene.render.frustumCulling = v;
+              },
+            },
+            { type: "output", id: "cull-stats" },
+          ],
+        },
+        {
+          // reverse-Z and/or infinite far plane (main.js::depthModes)
+          type: "select",
+          id: "depth-mode",
+          label: "Depth mapping",
+          options: presetOptions(depthModes),
+          get: () => scene.render.depthMode,
+          set: setDepthMode, // main.js
+        },
+      ],
+    },
+    {
+      type: "group",
+      label: "Picking",
+      children: [
+        {
+          type: "output",
+          id: "pick-result",
+          text: "Click the terrain to pick a point",
+        },
+      ],
+    },
+    {
+      type: "group",
+      label: "Sculpt",
+      collapsed: true,
+      children: [
+        {
+          type: "select",
+          id: "sculpt-mode",
+          label: "Brush (drag on the terrain)",
+          options: [["off", "Off"]].concat(presetOptions(sculptModes)), // sculptUtils.js
+          get: () => (sculptEnabled ? sculptBrush.mode : "off"),
+          set: setSculptMode,
+        },
+        {
+          type: "range",
+          id: "sculpt-radius",
+          label: "Radius",
+          min: 0.2,
+          max: 10,
+          step: 0.1,
+          get: () => sculptBrush.radius,
+          set: (v) => {
+            sculptBrush.radius = v;
+          },
+        },
+        {
+          type: "range",
+          id: "sculpt-strength",
+          label: "Strength",
+          min: 0.1,
+          max: 10,
+          step: 0.1,
+          get: () => sculptBrush.strength,
+          set: (v) => {
+            sculptBrush.strength = v;
+          },
+        },
+        {
+          type: "select",
+          id: "sculpt-falloff",
+          label: "Falloff",
+          options: presetOptions(brushFalloffs), // sculptUtils.js
+          get: () => sculptBrush.falloff,
+          set: (v) => {
+            sculptBrush.falloff = v;
+          },
+        },
+        { type: "output", id: "sculpt-error", className: "error" },
+      ],
+    },
+    {
+      // every change regenerates the mesh, so fields commit on change
+      type: "group",
+      label: "Terrain",
+      children: [
+        {
+          type: "select",
+          id: "terrain-elevation",
+          label: "Elevation function",
+          options: presetOptions(elevationPresets), // geometryUtils.js
+          get: () => scene.terrain.elevation,
+          set: (v) => updateTerrain({ elevation: v }),
+        },
+        {
+          // validated while typing, applied on enter/blur
+          type: "text",
+          id: "terrain-expression",
+          label: "f(x, z) =",
+          on: "change",
+          get: () => scene.terrain.expression,
+          set: (v) => updateTerrain({ elevation: "expression", expression: v }),
+          preview: validateExpression,
+        },
+        {
+          type: "file",
+          id: "terrain-heightmap",
+          label: "Heightmap (PNG, PGM, 16-bit raw)",
+          accept: ".png,.jpg,.jpeg,.pgm,.raw,.r16",
+          set: loadHeightmap,
+        },
+        terrainControl(
+          "heightScale",
+          "terrain-height-scale",
+          "Heightmap vertical scale",
+          -100,
+          100,
+          0.1
+        ),
+        {
+          type: "select",
+          id: "terrain-noise-basis",
+          label: "Noise basis",
+          options: [
+            ["perlin", "Perlin"],
+            ["simplex", "Simplex"],
+          ],
+          get: () => scene.terrain.noise.basis,
+          set: (v) =>
+            updateTerrain({
+              noise: Object.assign({}, scene.terrain.noise, { basis: v }),
+            }),
+        },
+        // any noise change re-runs the generator with the same seed, so
+        // identical settings reproduce identical terrain
+        noiseControl("seed", "Seed", undefined, undefined, 1),
+        noiseControl("octaves", "Octaves", 1, 16, 1),
+        noiseControl("lacunarity", "Lacunarity", 1, 4, 0.05),
+        noiseControl("gain", "Gain", 0, 1, 0.05),
+        noiseControl("frequency", "Frequency", 0.01, 2, 0.01),
+        noiseControl("amplitude", "Amplitude", 0, 50, 0.1),
+        noiseControl("warp", "Warp strength", 0, 20, 0.1),
+        terrainControl("size", "terrain-size", "Extent", 1, 200, 1),
+        terrainControl("step", "terrain-step", "Grid step", 0.01, 5, 0.01),
+        terrainControl(
+          "offset",
+          "terrain-offset",
+          "Vertical offset",
+          -50,
+          50,
+          0.5
+        ),
+        { type: "output", id: "terrain-error", className: "error" },
+      ],
+    },
+    {
+      type: "group",
+      label: "Models",
+      children: [
+        {
+          // the .obj/.gltf/.glb together with its .mtl/.bin files
+          type: "file",
+          id: "model-file",
+          label: "OBJ (+ MTL) or glTF/GLB (+ BIN)",
+          accept: ".obj,.mtl,.gltf,.glb,.bin",
+          multiple: true,
+          set: loadModelFiles,
+        },
+        {
+          type: "row",
+          children: [
+            {
+              type: "select",
+              id: "primitive-type",
+              options: presetOptions(primitivePresets), // primitiveUtils.js
+            },
+            {
+              type: "button",
+              id: "primitive-add",
+              label: "Add primitive",
+              action: addPrimitive,
+            },
+          ],
+        },
+        {
+          // options come from showSelectionList()
+          type: "select",
+          id: "selection",
+          label: "Selection",
+          set: selectObject,
+        },
+        {
+          type: "row",
+          children: [
+            {
+              type: "checkbox",
+              id: "show-terrain",
+              label: "Show terrain",
+              get: () => scene.render.showTerrain,
+              set: (v) => {
+                scene.render.showTerrain = v;
+              },
+            },
+            {
+              type: "button",
+              id: "model-clear",
+              label: "Clear models",
+              action: removeAllModels,
+            },
+          ],
+        },
+        { type: "output", id: "model-warnings", className: "error" },
+      ],
+    },
+    {
+      type: "group",
+      label: "Export terrain",
+      collapsed: true,
+      children: [
+        {
+          type: "row",
+          children: [
+            {
+              type: "select",
+              id: "export-format",
+              options: [
+                ["obj", "OBJ"],
+                ["stl", "STL (binary)"],
+                ["ply", "PLY (ASCII)"],
+                ["ply-binary", "PLY (binary)"],
+                ["pgm", "Heightmap (16-bit PGM)"],
+              ],
+            },
+            {
+              type: "checkbox",
+              id: "export-watertight",
+              label: "Close bottom (watertight)",
+            },
+            {
+              type: "button",
+              id: "export-download",
+              label: "Download",
+              action: exportTerrain,
+            },
+          ],
+        },
+        { type: "output", id: "export-error", className: "error" },
+      ],
+    },
+    {
+      // whole scenes as JSON documents (sceneUtils.js); a .json file dropped
+      // on the page loads too
+      type: "group",
+      label: "Scene",
+      children: [
+        {
+          type: "file",
+          id: "scene-file",
+          label: "Load scene",
+          accept: ".json",
+          set: loadSceneFiles,
+        },
+        {
+          type: "button",
+          id: "scene-save",
+          label: "Save scene",
+          action: saveSceneFile,
+        },
+        { type: "output", id: "scene-error", className: "error" },
+      ],
+    },
+    {
+      // the parameters of main.js::persistedParams follow every change
+      // into the URL hash and localStorage
+      type: "group",
+      label: "Saved state",
+      children: [
+        {
+          type: "row",
+          children: [
+            {
+              type: "button",
+              id: "state-copy-link",
+              label: "Copy link",
+              action: copyStateLink,
+            },
+            {
+              type: "button",
+              id: "state-reset",
+              label: "Reset to defaults",
+              action: resetSavedState, // main.js
+            },
+            { type: "output", id: "state-link-status" },
+          ],
+        },
+        { type: "output", id: "saved-state-errors", className: "error" },
+      ],
+    },
+    {
+      // Ctrl+Z / Ctrl+Shift+Z too; picking a step undoes or redoes up to it
+      type: "group",
+      label: "History",
+      children: [
+        {
+          type: "row",
+          children: [
+            {
+              type: "button",
+              id: "history-undo",
+              label: "Undo",
+              action: () => commandHistory.undo(),
+            },
+            {
+              type: "button",
+              id: "history-redo",
+              label: "Redo",
+              action: () => commandHistory.redo(),
+            },
+          ],
+        },
+        {
+          // options come from showHistoryList()
+          type: "select",
+          id: "history-list",
+          size: 8,
+          set: (v) => commandHistory.goTo(Number(v)),
+        },
+      ],
+    },
+  ];
+}
+
+// Build the panel and hook up the canvas. Called once from init() in
+// main.js.
+function initControls() {
+  commandHistory = createCommandHistory(showHistoryList); // historyUtils.js
+  controlsPanel = createControlsPanel(
+    document.querySelector("#controls"),
+    controlsSchema(),
+    {
+      onEdit: recordControlEdit,
+      onEditEnd: () => commandHistory.seal(),
+    }
+  ); // controlsPanel.js
+  initCanvasInput();
+  initSceneDrop();
+  initHistoryKeys();
+  syncCameraControls();
+  showBookmarkList();
+  showKeyframeList();
+  showPathPlayback();
+  showSelectionList();
+  showSavedStateErrors();
+  showHistoryList();
+}
+
+// Re-read every control from app state after many parameters changed at
+// once (e.g. a saved state was applied).
+function refreshControls() {
+  controlsPanel.refresh();
+  syncCameraControls();
+  showBookmarkList();
+  showKeyframeList();
+  showPathPlayback();
+  showSelectionList();
+  showSavedStateErrors();
+}
+
+// history: a panel edit is undone by setting the control's value back;
+// the steps of one slider drag or color pick share the control's id as
+// key, so they merge into one
+function recordControlEdit(entry, before, after, label) {
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+  const setValue = (value) => {
+    entry.set(value);
+    refreshControls();
+  };
+  commandHistory.record({
+    label: label,
+    key: entry.id,
+    undo: () => setValue(before),
+    redo: () => setValue(after),
+  });
+}
+
+// Run `action`, an edit outside the bound controls, and record it as one
+// step: capture() snapshots the state it changes before and after, and
+// restore(snapshot) puts a snapshot back. Nothing is recorded if action()
+// throws.
+function recordEdit(label, capture, restore, action) {
+  const before = capture();
+  action();
+  const after = capture();
+  commandHistory.record({
+    label: label,
+    undo: () => restore(before),
+    redo: () => restore(after),
+  });
+}
+
+// restore() copies the list, since later edits change the scene's in place
+function recordBookmarkEdit(label, action) {
+  recordEdit(
+    label,
+    () => scene.bookmarks.slice(),
+    (bookmarks) => {
+      scene.bookmarks = bookmarks.slice();
+      showBookmarkList();
+    },
+    action
+  );
+}
+
+function recordKeyframeEdit(label, action) {
+  recordEdit(
+    label,
+    () => scene.flyThrough.keyframes.slice(),
+    (keyframes) => {
+      scene.flyThrough.keyframes = keyframes.slice();
+      showKeyframeList();
+      showPathPlayback();
+    },
+    action
+  );
+}
+
+function recordModelEdit(label, action) {
+  recordEdit(label, modelMeshes, setModels, action); // main.js
+}
+
+// Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo (Cmd on macOS), except in
+// text fields, which keep their own undo.
+function initHistoryKeys() {
+  window.addEventListener("keydown", (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    const target = event.target;
+    const typing =
+      target instanceof HTMLTextAreaElement ||
+      (target instanceof HTMLInputElement &&
+        (target.type === "text" || target.type === "number"));
+    if (typing) return;
+    const key = event.key.toLowerCase();
+    if (key !== "z" && key !== "y") return;
+    event.preventDefault();
+    if (key === "z" && !event.shiftKey) commandHistory.undo();
+    else commandHistory.redo();
+  });
+}
+
+// framing: fit everything drawn, or the selected object, into view
+function frameAll() {
+  const bounds = sceneBounds(); // main.js
+  if (!boundsIsEmpty(bounds)) frameCamera(bounds); // main.js
+}
+
+function frameSelected() {
+  const bounds = selection ? objectBounds(selection) : sceneBounds(); // main.js
+  if (!boundsIsEmpty(bounds)) frameCamera(bounds); // main.js
+}
+
+// bookmarks: named poses to jump back to; saving under an existing name
+// overwrites that bookmark
+function saveBookmark() {
+  const nameInput = document.querySelector("#bookmark-name");
+  const pose = currentCameraPose(); // main.js
+  const name = nameInput.value.trim() || "View " + (scene.bookmarks.length + 1);
+  const bookmark = cameraBookmark(name, pose.eye, pose.target); // cameraPathUtils.js
+  const index = scene.bookmarks.findIndex((b) => b.name === name);
+  recordBookmarkEdit("Save view " + name, () => {
+    if (index >= 0) scene.bookmarks[index] = bookmark;
+    else scene.bookmarks.push(bookmark);
+  });
+  nameInput.value = "";
+  showBookmarkList(name);
+}
+
+function goToBookmark() {
+  const bookmark =
+    scene.bookmarks[document.querySelector("#bookmark-list").value];
+  if (bookmark) setCameraPose(bookmark); // main.js
+}
+
+function deleteBookmark() {
+  const index = document.querySelector("#bookmark-list").value;
+  const bookmark = scene.bookmarks[index];
+  if (!bookmark) return;
+  recordBookmarkEdit("Delete view " + bookmark.name, () => {
+    scene.bookmarks.splice(index, 1);
+  });
+  showBookmarkList();
+}
+
+// fly-through: keyframes record the current view at a time on the
+// timeline; playback is driven by render() (main.js::updatePathPlayback)
+function addKeyframe() {
+  const timeInput = document.querySelector("#keyframe-time");
+  const time = parseFloat(timeInput.value);
+  if (!(time >= 0)) return;
+  const pose = currentCameraPose(); // main.js
+  const keyframe = cameraKeyframe(
+    time,
+    pose.eye,
+    pose.target,
+    document.querySelector("#keyframe-easing").value
+  ); // cameraPathUtils.js
+  recordKeyframeEdit("Add keyframe at " + time + " s", () => {
+    addCameraKeyframe(scene.flyThrough.keyframes, keyframe); // cameraPathUtils.js
+  });
+  // suggest the next slot two seconds later
+  timeInput.value = cameraPathDuration(scene.flyThrough.keyframes) + 2;
+  showKeyframeList(time);
+  showPathPlayback();
+}
+
+// selecting a keyframe moves the camera (and the playhead) onto it
+function selectKeyframe(index) {
+  const keyframe = scene.flyThrough.keyframes[index];
+  if (!keyframe) return;
+  pathPlayback.playing = false;
+  pathPlayback.time = keyframe.time;
+  setCameraPose(keyframe); // main.js
+  showPathPlayback();
+}
+
+function deleteKeyframe() {
+  const index = document.querySelector("#keyframe-list").value;
+  const keyframe = scene.flyThrough.keyframes[index];
+  if (!keyframe) return;
+  recordKeyframeEdit("Delete keyframe at " + keyframe.time + " s", () => {
+    scene.flyThrough.keyframes.splice(index, 1);
+  });
+  showKeyframeList();
+  showPathPlayback();
+}
+
+function clearKeyframes() {
+  if (scene.flyThrough.keyframes.length) {
+    recordKeyframeEdit("Clear keyframes", () => {
+      scene.flyThrough.keyframes = [];
     });
-  document.querySelector("#camZ").textContent = camZ;
-  document.querySelector("#cam-z-axis").value = camZ;
-  document
-    .querySelector("#cam-z-axis")
-    .addEventListener("pointermove", (event) => {
-      camZ = parseInt(event.target.value);
-      document.querySelector("#camZ").textContent = event.target.value;
+  }
+  pathPlayback.playing = false;
+  pathPlayback.time = 0;
+  document.querySelector("#keyframe-time").value = 0;
+  showKeyframeList();
+  showPathPlayback();
+}
+
+function togglePathPlayback() {
+  if (scene.flyThrough.keyframes.length < 2) return;
+  // playing from the end starts over
+  if (
+    !pathPlayback.playing &&
+    pathPlayback.time >= cameraPathDuration(scene.flyThrough.keyframes)
+  ) {
+    pathPlayback.time = 0;
+  }
+  pathPlayback.playing = !pathPlayback.playing;
+  showPathPlayback();
+}
+
+function rewindPath() {
+  scrubPath(0);
+}
+
+// scrubbing pauses and shows the path at the chosen time
+function scrubPath(time) {
+  pathPlayback.playing = false;
+  pathPlayback.time = time;
+  const pose = sampleCameraPath(scene.flyThrough.keyframes, time); // cameraPathUtils.js
+  if (pose) setCameraPose(pose); // main.js
+  showPathPlayback();
+}
+
+// "off" or a brush mode (sculptUtils.js::sculptModes)
+function setSculptMode(value) {
+  sculptEnabled = value !== "off";
+  if (sculptEnabled) sculptBrush.mode = value;
+  document.querySelector("#sculpt-error").textContent = "";
+}
+
+// Apply `changes` to the terrain descriptor and rebuild. Invalid values
+// keep the previous terrain on screen and show the error instead.
+function updateTerrain(changes) {
+  const terrainError = document.querySelector("#terrain-error");
+  const previous = Object.assign({}, scene.terrain);
+  Object.assign(scene.terrain, changes);
+  try {
+    rebuildTerrain(); // main.js
+    terrainError.textContent = "";
+  } catch (e) {
+    Object.assign(scene.terrain, previous);
+    terrainError.textContent = e.message;
+  }
+  controlsPanel.refresh();
+}
+
+function validateExpression(text) {
+  const terrainError = document.querySelector("#terrain-error");
+  try {
+    compileExpression(text); // expressionUtils.js
+    terrainError.textContent = "";
+  } catch (e) {
+    terrainError.textContent = e.message;
+  }
+}
+
+// heightmap files are decoded asynchronously, then selected as the
+// elevation source
+function loadHeightmap(files) {
+  if (!files[0]) return;
+  loadHeightmapFile(files[0]) // heightmapUtils.js
+    .then((heightmap) => {
+      // sculpted terrains exported as PGM carry their own extent, step,
+      // offset and scale (see main.js::exportTerrainHeightmap())
+      const settings = heightmapTerrainSettings(heightmap); // heightmapUtils.js
+      recordEdit(
+        "Terrain: load heightmap",
+        () => Object.assign({}, scene.terrain),
+        updateTerrain,
+        () =>
+          updateTerrain(
+            Object.assign(
+              { elevation: "heightmap", heightmap: heightmap },
+              settings
+            )
+          )
+      );
+    })
+    .catch((e) => {
+      document.querySelector("#terrain-error").textContent = e.message;
     });
+}
 
-  // light
-  document.querySelector("#lightX").textContent = lightX;
-  document.querySelector("#light-x-axis").value = lightX;
-  document
-    .querySelector("#light-x-axis")
-    .addEventListener("pointermove", (event) => {
-      lightX = parseInt(event.target.value);
-      document.querySelector("#lightX").textContent = event.target.value;
+function loadModelFiles(files) {
+  if (!files.length) return;
+  const modelWarnings = document.querySelector("#model-warnings");
+  const isGLTF = Array.from(files).some((f) => /\.(gltf|glb)$/i.test(f.name));
+  const loader = isGLTF ? loadGLTFFiles : loadOBJFiles; // gltfLoader.js, objLoader.js
+  loader(files)
+    .then((result) => {
+      const main = Array.from(files).find((f) =>
+        /\.(obj|gltf|glb)$/i.test(f.name)
+      );
+      recordModelEdit("Load " + (main || files[0]).name, () => {
+        addModels(result.meshes); // main.js
+      });
+      modelWarnings.textContent = result.warnings.join("\n");
+    })
+    .catch((e) => {
+      modelWarnings.textContent = e.message;
     });
-  document.querySelector("#lightY").textContent = lightY;
-  document.querySelector("#light-y-axis").value = lightY;
-  document
-    .querySelector("#light-y-axis")
-    .addEventListener("pointermove", (event) => {
-      lightY = parseInt(event.target.value);
-      document.querySelector("#lightY").textContent = event.target.value;
+}
+
+// primitives use a copy of the current material so later material edits
+// do not change shapes already added
+function addPrimitive() {
+  const type = document.querySelector("#primitive-type").value;
+  recordModelEdit("Add " + primitivePresets[type].label.toLowerCase(), () => {
+    addModels([
+      primitiveMesh(type, null, Object.assign({}, globalMaterial())), // main.js
+    ]);
+  }); // primitiveUtils.js
+}
+
+// selection: "" is nothing, "terrain" the terrain, a number a model index
+function selectObject(value) {
+  selection =
+    value === "" ? null : value === "terrain" ? "terrain" : models[value];
+}
+
+function removeAllModels() {
+  if (models.length) recordModelEdit("Clear models", clearModels); // main.js
+  document.querySelector("#model-warnings").textContent = "";
+}
+
+// export: what is on screen (flat or smooth terrain), optionally closed
+function exportTerrain() {
+  const exportError = document.querySelector("#export-error");
+  try {
+    const format = document.querySelector("#export-format").value;
+    const { blob, fileName } =
+      format === "pgm"
+        ? exportTerrainHeightmap() // main.js
+        : exportMesh(currentTerrainMesh(), format, {
+            watertight: document.querySelector("#export-watertight").checked,
+          }); // main.js, exportUtils.js
+    downloadBlob(blob, fileName); // exportUtils.js
+    exportError.textContent = "";
+  } catch (e) {
+    exportError.textContent = e.message;
+  }
+}
+
+// scene documents: the first file picked or dropped
+function loadSceneFiles(files) {
+  if (!files.length) return;
+  files[0]
+    .text()
+    .then((text) => {
+      recordEdit(
+        "Load scene " + files[0].name,
+        () => ({ scene: scene, meshes: modelMeshes() }),
+        (state) => setScene(state.scene, state.meshes),
+        () => loadScene(text)
+      ); // main.js
+      showSceneError("");
+    })
+    .catch((e) => {
+      showSceneError(e.message);
     });
-  document.querySelector("#lightZ").textContent = lightZ;
-  document.querySelector("#light-z-axis").value = lightZ;
-  document
-    .querySelector("#light-z-axis")
-    .addEventListener("pointermove", (event) => {
-      lightZ = parseInt(event.target.value);
-      document.querySelector("#lightZ").textContent = event.target.value;
+}
+
+function saveSceneFile() {
+  try {
+    const { blob, fileName } = saveScene(); // main.js
+    downloadBlob(blob, fileName); // exportUtils.js
+    showSceneError("");
+  } catch (e) {
+    showSceneError(e.message);
+  }
+}
+
+// Why the last scene failed to load or save, or "" to clear it. Invalid
+// documents list one problem per line, each with its path in the document.
+function showSceneError(message) {
+  document.querySelector("#scene-error").textContent = message;
+}
+
+// Dropping a .json file anywhere on the page loads it as a scene; drops on
+// a file input are left to that input.
+function initSceneDrop() {
+  const onFileInput = (event) =>
+    event.target instanceof HTMLInputElement && event.target.type === "file";
+  window.addEventListener("dragover", (event) => {
+    if (!onFileInput(event)) event.preventDefault();
+  });
+  window.addEventListener("drop", (event) => {
+    if (onFileInput(event)) return;
+    event.preventDefault();
+    const files = Array.from(event.dataTransfer.files);
+    const sceneFiles = files.filter((f) => /\.json$/i.test(f.name));
+    if (sceneFiles.length) {
+      loadSceneFiles(sceneFiles);
+    } else if (files.length) {
+      showSceneError("Drop a scene .json file to load it");
+    }
+  });
+}
+
+// the hash always holds the current state, so the page URL is the link
+function copyStateLink() {
+  const status = document.querySelector("#state-link-status");
+  saveState(); // main.js
+  navigator.clipboard.writeText(location.href).then(
+    () => {
+      status.textContent = "Copied";
+    },
+    () => {
+      status.textContent = "Copy the address bar instead";
+    }
+  );
+}
+
+// Pointer input on the canvas itself. A click (not the end of a drag) casts
+// a ray against the terrain. While sculpting, a left drag paints with the
+// brush instead, one dab per pointer event scaled by the time since the
+// last. Camera drags are handled by cameraControls.js.
+function initCanvasInput() {
+  const canvas = document.querySelector("#gl-canvas");
+  const sculptError = document.querySelector("#sculpt-error");
+  let pointerDownAt = [0, 0];
+  let stroke = null;
+  function sculptDab(event, dt) {
+    try {
+      sculptTerrain(event.offsetX, event.offsetY, dt, stroke); // main.js
+      sculptError.textContent = "";
+    } catch (e) {
+      sculptError.textContent = e.message;
+      stroke = null;
+    }
+  }
+  // with the pointer locked for fly-mode mouse look the cursor position is
+  // meaningless, so neither picking nor sculpting applies
+  const pointerLocked = () => document.pointerLockElement === canvas;
+  canvas.addEventListener("pointerdown", (event) => {
+    pointerDownAt = [event.offsetX, event.offsetY];
+    if (!sculptEnabled || event.button !== 0 || event.shiftKey) return;
+    if (pointerLocked()) return;
+    canvas.setPointerCapture(event.pointerId);
+    stroke = { lastTime: event.timeStamp };
+    sculptDab(event, 1 / 60);
+  });
+  canvas.addEventListener("pointermove", (event) => {
+    if (!stroke) return;
+    // clamp so a stalled frame does not turn into one huge dab
+    const dt = Math.min((event.timeStamp - stroke.lastTime) / 1000, 0.1);
+    stroke.lastTime = event.timeStamp;
+    sculptDab(event, dt);
+  });
+  ["pointerup", "pointercancel"].forEach((type) => {
+    canvas.addEventListener(type, () => {
+      if (stroke) recordSculptStroke(stroke);
+      stroke = null;
     });
+  });
+  canvas.addEventListener("click", (event) => {
+    // in fly mode a click locks the pointer (cameraControls.js) instead
+    if (sculptEnabled || scene.camera.controls === "fly" || pointerLocked())
+      return;
+    const dx = event.offsetX - pointerDownAt[0];
+    const dy = event.offsetY - pointerDownAt[1];
+    if (Math.hypot(dx, dy) > 4) return;
+    showPick(pickTerrain(event.offsetX, event.offsetY)); // main.js
+  });
+}
+
+// A finished stroke as one history step, restoring the heights it changed.
+function recordSculptStroke(stroke) {
+  const edit = sculptStrokeUndo(stroke); // main.js
+  if (!edit) return;
+  const setHeights = (heights) =>
+    setSculptedHeights(edit.grid, edit.region, heights); // main.js
+  commandHistory.record({
+    label: "Sculpt: " + sculptModes[sculptBrush.mode].label.toLowerCase(), // sculptUtils.js
+    undo: () => setHeights(edit.before),
+    redo: () => setHeights(edit.after),
+  });
+}
+
+// Chunk/vertex counts of the LOD terrain. Called from render() every frame,
+// so the text is only rebuilt when the selection changed.
+let shownTerrainLODStats = { chunks: -1, vertices: -1 };
+function showTerrainLODStats(stats) {
+  if (
+    stats.chunks === shownTerrainLODStats.chunks &&
+    stats.vertices === shownTerrainLODStats.vertices
+  ) {
+    return;
+  }
+  shownTerrainLODStats = { chunks: stats.chunks, vertices: stats.vertices };
+  document.querySelector("#terrain-lod-stats").textContent =
+    stats.chunks + " chunks, " + stats.vertices.toLocaleString() + " vertices";
+}
+
+// Drawn/culled counts of the last frame (main.js::cullStats), for
+// debugging culling. Like the LOD stats, only rebuilt when they change.
+let shownCullStats = { drawn: -1, culled: -1 };
+function showCullStats(stats) {
+  if (
+    stats.drawn === shownCullStats.drawn &&
+    stats.culled === shownCullStats.culled
+  ) {
+    return;
+  }
+  shownCullStats = { drawn: stats.drawn, culled: stats.culled };
+  document.querySelector("#cull-stats").textContent =
+    stats.drawn + " drawn, " + stats.culled + " culled";
+}
+
+// Show a pickTerrain() result (or a miss) in the Picking section.
+function showPick(hit) {
+  const result = document.querySelector("#pick-result");
+  if (!hit) {
+    result.textContent = "No terrain under the cursor";
+    return;
+  }
+  const format = (v) => v.map((c) => c.toFixed(2)).join(", ");
+  result.textContent =
+    "Point (" +
+    format(hit.point) +
+    ")\n" +
+    "Triangle " +
+    hit.triangle +
+    ", normal (" +
+    format(hit.normal) +
+    ")";
+}
+
+// Write the camera's eye and target into the camera controls after the camera
+// was moved from code (e.g. frameCamera() in main.js). The sliders' ranges
+// grow when the camera moves past them.
+function syncCameraControls() {
+  if (!controlsPanel) return;
+  controlsPanel.refresh(["cam-x-axis", "cam-y-axis", "cam-z-axis"]);
+  document.querySelector("#cam-target").textContent =
+    "Camera looking at " +
+    Array.from(scene.camera.target)
+      .map((v) => Math.round(v * 10) / 10)
+      .join(", ");
+}
+
+// Rebuild the selection dropdown from the terrain and the current models,
+// keeping the selected entry.
+function showSelectionList() {
+  const select = document.querySelector("#selection");
+  select.textContent = "";
+  const entries = [
+    ["", "(none)"],
+    ["terrain", "Terrain"],
+  ].concat(models.map((model, i) => [String(i), model.name || "Model " + i]));
+  entries.forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  const index = models.indexOf(selection);
+  select.value =
+    selection === "terrain" ? "terrain" : index >= 0 ? String(index) : "";
+}
+
+// Rebuild the bookmark dropdown (main.js::scene.bookmarks), selecting the
+// bookmark called `selectName` if given.
+function showBookmarkList(selectName) {
+  const select = document.querySelector("#bookmark-list");
+  select.textContent = "";
+  scene.bookmarks.forEach((bookmark, i) => {
+    const option = document.createElement("option");
+    option.value = String(i);
+    option.textContent = bookmark.name;
+    select.appendChild(option);
+  });
+  const index = scene.bookmarks.findIndex((b) => b.name === selectName);
+  if (index >= 0) select.value = String(index);
+}
+
+// Rebuild the keyframe list (main.js::scene.flyThrough), selecting the keyframe
+// at `selectTime` if given.
+function showKeyframeList(selectTime) {
+  const select = document.querySelector("#keyframe-list");
+  select.textContent = "";
+  scene.flyThrough.keyframes.forEach((keyframe, i) => {
+    const option = document.createElement("option");
+    option.value = String(i);
+    option.textContent =
+      keyframe.time.toFixed(2) +
+      " s, " +
+      easingFunctions[keyframe.easing].label.toLowerCase();
+    select.appendChild(option);
+  });
+  const index = scene.flyThrough.keyframes.findIndex(
+    (k) => k.time === selectTime
+  );
+  if (index >= 0) select.value = String(index);
+}
+
+// Play button label, timeline range and playhead (main.js::pathPlayback).
+// Called from render() every frame while playing.
+function showPathPlayback() {
+  const duration = cameraPathDuration(scene.flyThrough.keyframes); // cameraPathUtils.js
+  const slider = document.querySelector("#path-time");
+  slider.max = duration;
+  slider.value = pathPlayback.time;
+  document.querySelector("#path-time-value").textContent =
+    pathPlayback.time.toFixed(2);
+  document.querySelector("#path-play").textContent = pathPlayback.playing
+    ? "Pause"
+    : "Play";
+}
+
+// The history list (commandHistory's steps, oldest first, after a "Start"
+// entry) with the current step selected; undone steps are greyed out.
+function showHistoryList() {
+  const select = document.querySelector("#history-list");
+  if (!select) return;
+  const position = commandHistory.position();
+  select.textContent = "";
+  ["Start"].concat(commandHistory.steps()).forEach((label, i) => {
+    const option = document.createElement("option");
+    option.value = String(i);
+    option.textContent = label;
+    if (i > position) option.className = "undone";
+    select.appendChild(option);
+  });
+  select.value = String(position);
+  select.scrollTop = select.scrollHeight;
+  document.querySelector("#history-undo").disabled = position === 0;
+  document.querySelector("#history-redo").disabled =
+    position === commandHistory.steps().length;
+}
+
+// Problems found in the saved state or shared link that was loaded
+// (main.js::savedStateErrors): invalid parameters kept their previous
+// values, out-of-range ones were clamped.
+function showSavedStateErrors() {
+  document.querySelector("#saved-state-errors").textContent =
+    savedStateErrors.length
+      ? "Problems in the saved state:\n" + savedStateErrors.join("\n")
+      : "";
 }
@@ -0,0 +1,406 @@
+// Export utilities
+// Write generated geometry out as OBJ, binary STL or PLY (ASCII or binary)
+// for 3D printing and post-processing, optionally closed into a watertight
+// solid.
+//
+// Accepted inputs:
+// - the triangle soup from computeNormals(): { p: [vec4], n: [vec4] }
+// - an indexed mesh: { positions: [vec4], normals: [vec4], indices }
+// Both are first converted into a welded indexed mesh
+//   { positions: Float32Array, normals: Float32Array, indices: Uint32Array }
+// with triangles wound counter-clockwise around their normals (the
+// convention of all three formats). The terrain generators use the opposite
+// winding (see geometryUtils.js), so export flips those triangles.
+
+// Convert either input shape into a welded, CCW-oriented indexed mesh.
+function toExportMesh(mesh) {
+  let points;
+  let pointNormals;
+  let triangles;
+  if (mesh.p && mesh.n) {
+    points = mesh.p;
+    pointNormals = mesh.n;
+    triangles = null;
+  } else if (mesh.positions && mesh.indices) {
+    points = mesh.positions;
+    pointNormals = mesh.normals;
+    triangles = mesh.indices;
+  } else {
+    throw new Error(
+      "toExportMesh: expected { p, n } or { positions, indices }"
+    );
+  }
+
+  // weld identical positions so the soup becomes a connected surface
+  const lookup = new Map();
+  const positions = [];
+  const normals = [];
+  const remap = new Uint32Array(points.length);
+  for (let i = 0; i < points.length; ++i) {
+    const p = points[i];
+    const key =
+      Math.round(p[0] * 1e5) +
+      "," +
+      Math.round(p[1] * 1e5) +
+      "," +
+      Math.round(p[2] * 1e5);
+    let id = lookup.get(key);
+    if (id === undefined) {
+      id = positions.length / 3;
+      lookup.set(key, id);
+      positions.push(p[0], p[1], p[2]);
+      normals.push(0, 0, 0);
+    }
+    const n = pointNormals ? pointNormals[i] : [0, 0, 0];
+    normals[id * 3] += n[0];
+    normals[id * 3 + 1] += n[1];
+    normals[id * 3 + 2] += n[2];
+    remap[i] = id;
+  }
+  const triCount = triangles ? triangles.length / 3 : points.length / 3;
+  const indices = new Uint32Array(triCount * 3);
+  for (let t = 0; t < triCount; ++t) {
+    const src = triangles
+      ? [triangles[3 * t], triangles[3 * t + 1], triangles[3 * t + 2]]
+      : [3 * t, 3 * t + 1, 3 * t + 2];
+    const [a, b, c] = src.map((i) => remap[i]);
+    // orient CCW: geometric normal must agree with the supplied normals
+    const e1 = [0, 1, 2].map(
+      (k) => positions[b * 3 + k] - positions[a * 3 + k]
+    );
+    const e2 = [0, 1, 2].map(
+      (k) => positions[c * 3 + k] - positions[a * 3 + k]
+    );
+    const g = [
+      e1[1] * e2[2] - e1[2] * e2[1],
+      e1[2] * e2[0] - e1[0] * e2[2],
+      e1[0] * e2[1] - e1[1] * e2[0],
+    ];
+    const ref = src.reduce(
+      (acc, i) => {
+        const n = pointNormals ? pointNormals[i] : [0, 0, 0];
+        return [acc[0] + n[0], acc[1] + n[1], acc[2] + n[2]];
+      },
+      [0, 0, 0]
+    );
+    const flip = g[0] * ref[0] + g[1] * ref[1] + g[2] * ref[2] < 0;
+    indices[3 * t] = a;
+    indices[3 * t + 1] = flip ? c : b;
+    indices[3 * t + 2] = flip ? b : c;
+  }
+  for (let v = 0; v < normals.length; v += 3) {
+    const len = Math.hypot(normals[v], normals[v + 1], normals[v + 2]) || 1;
+    normals[v] /= len;
+    normals[v + 1] /= len;
+    normals[v + 2] /= len;
+  }
+  return {
+    positions: new Float32Array(positions),
+    normals: new Float32Array(normals),
+    indices: indices,
+  };
+}
+
+// Close an open heightfield-like surface into a watertight solid: every
+// boundary edge (used by one triangle only) is extruded straight down to a
+// flat base `baseDepth` below the lowest vertex, and the base is capped
+// with a fan around the boundary's centroid. The cap assumes the footprint
+// is star-shaped around that centroid, which holds for the square terrain.
+//
+// The walls reuse the surface's boundary vertices and one base vertex per
+// boundary vertex shared by both neighbouring walls and the cap, so the
+// solid is closed by index too (every edge is used by exactly two
+// triangles), not just by position. Shared vertices can only carry one
+// normal, which the base ring averages; for formats that index normals
+// separately the result also has `cornerNormals`: { normals, indices }
+// with one normal index per entry of `indices`, giving the walls and the
+// cap their own flat normals.
+function closeMeshBottom(mesh, baseDepth = 1.0) {
+  const { positions, normals, indices } = mesh;
+  const edgeKey = (a, b) => a + "_" + b;
+  const directed = new Map();
+  for (let t = 0; t < indices.length; t += 3) {
+    for (let k = 0; k < 3; ++k) {
+      const a = indices[t + k];
+      const b = indices[t + ((k + 1) % 3)];
+      directed.set(edgeKey(a, b), [a, b]);
+    }
+  }
+  const boundary = [];
+  directed.forEach(([a, b]) => {
+    if (!directed.has(edgeKey(b, a))) boundary.push([a, b]);
+  });
+  if (boundary.length === 0) return mesh; // already closed
+
+  let minY = Infinity;
+  for (let v = 1; v < positions.length; v += 3)
+    minY = Math.min(minY, positions[v]);
+  const baseY = minY - baseDepth;
+
+  const outPositions = Array.from(positions);
+  const outNormals = Array.from(normals);
+  const outIndices = Array.from(indices);
+  // per-corner normals: the surface's corners keep their vertex's normal
+  const cornerNormalList = Array.from(normals);
+  const cornerIndices = Array.from(indices);
+  function addVertex(x, y, z, nx, ny, nz) {
+    outPositions.push(x, y, z);
+    outNormals.push(nx, ny, nz);
+    return outPositions.length / 3 - 1;
+  }
+  function addCornerNormal(nx, ny, nz) {
+    cornerNormalList.push(nx, ny, nz);
+    return cornerNormalList.length / 3 - 1;
+  }
+
+  // centroid of the boundary footprint, on the base plane
+  let cx = 0;
+  let cz = 0;
+  boundary.forEach(([a]) => {
+    cx += positions[a * 3];
+    cz += positions[a * 3 + 2];
+  });
+  cx /= boundary.length;
+  cz /= boundary.length;
+  const center = addVertex(cx, baseY, cz, 0, -1, 0);
+  const down = addCornerNormal(0, -1, 0);
+
+  // the base vertex under boundary vertex v; its normal starts pointing
+  // down and collects the normals of the walls it belongs to
+  const baseOf = new Map();
+  function baseVertex(v) {
+    let id = baseOf.get(v);
+    if (id === undefined) {
+      id = addVertex(positions[v * 3], baseY, positions[v * 3 + 2], 0, -1, 0);
+      baseOf.set(v, id);
+    }
+    return id;
+  }
+
+  boundary.forEach(([a, b]) => {
+    // outward wall normal: edge direction x up
+    let nx = -(positions[b * 3 + 2] - positions[a * 3 + 2]);
+    let nz = positions[b * 3] - positions[a * 3];
+    const len = Math.hypot(nx, nz) || 1;
+    nx /= len;
+    nz /= len;
+    const ba = baseVertex(a);
+    const bb = baseVertex(b);
+    [ba, bb].forEach((v) => {
+      outNormals[v * 3] += nx;
+      outNormals[v * 3 + 2] += nz;
+    });
+    // the edge runs a->b in its top triangle, so the wall runs b->a
+    const wall = addCornerNormal(nx, 0, nz);
+    outIndices.push(b, a, ba, b, ba, bb);
+    cornerIndices.push(wall, wall, wall, wall, wall, wall);
+    // bottom cap triangle, facing down
+    outIndices.push(center, bb, ba);
+    cornerIndices.push(down, down, down);
+  });
+  baseOf.forEach((v) => {
+    const len =
+      Math.hypot(
+        outNormals[v * 3],
+        outNormals[v * 3 + 1],
+        outNormals[v * 3 + 2]
+      ) || 1;
+    for (let k = 0; k < 3; ++k) outNormals[v * 3 + k] /= len;
+  });
+
+  return {
+    positions: new Float32Array(outPositions),
+    normals: new Float32Array(outNormals),
+    indices: new Uint32Array(outIndices),
+    cornerNormals: {
+      normals: new Float32Array(cornerNormalList),
+      indices: new Uint32Array(cornerIndices),
+    },
+  };
+}
+
+// Wavefront OBJ text with per-vertex normals, or the mesh's cornerNormals
+// (see closeMeshBottom()) when it has them.
+function meshToOBJ(mesh, name = "terrain") {
+  const { positions, indices } = mesh;
+  const normals = mesh.cornerNormals
+    ? mesh.cornerNormals.normals
+    : mesh.normals;
+  const normalIndices = mesh.cornerNormals
+    ? mesh.cornerNormals.indices
+    : indices;
+  const lines = ["# exported by phongLightingModular", "o " + name];
+  for (let v = 0; v < positions.length; v += 3) {
+    lines.push(
+      "v " + positions[v] + " " + positions[v + 1] + " " + positions[v + 2]
+    );
+  }
+  for (let v = 0; v < normals.length; v += 3) {
+    lines.push(
+      "vn " + normals[v] + " " + normals[v + 1] + " " + normals[v + 2]
+    );
+  }
+  for (let t = 0; t < indices.length; t += 3) {
+    const corners = [0, 1, 2].map(
+      (k) => indices[t + k] + 1 + "//" + (normalIndices[t + k] + 1)
+    );
+    lines.push("f " + corners.join(" "));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Binary STL: 80-byte header, triangle count, then per triangle the face
+// normal, three vertices and a zero attribute word (50 bytes).
+function meshToSTL(mesh) {
+  const { positions, indices } = mesh;
+  const triCount = indices.length / 3;
+  const buffer = new ArrayBuffer(84 + triCount * 50);
+  const view = new DataView(buffer);
+  const header = "binary STL exported by phongLightingModular";
+  for (let i = 0; i < header.length; ++i)
+    view.setUint8(i, header.charCodeAt(i));
+  view.setUint32(80, triCount, true);
+  let offset = 84;
+  for (let t = 0; t < indices.length; t += 3) {
+    const p = [indices[t], indices[t + 1], indices[t + 2]].map((i) => [
+      positions[i * 3],
+      positions[i * 3 + 1],
+      positions[i * 3 + 2],
+    ]);
+    const e1 = [0, 1, 2].map((k) => p[1][k] - p[0][k]);
+    const e2 = [0, 1, 2].map((k) => p[2][k] - p[0][k]);
+    let n = [
+      e1[1] * e2[2] - e1[2] * e2[1],
+      e1[2] * e2[0] - e1[0] * e2[2],
+      e1[0] * e2[1] - e1[1] * e2[0],
+    ];
+    const len = Math.hypot(n[0], n[1], n[2]) || 1;
+    n = n.map((x) => x / len);
+    [n, p[0], p[1], p[2]].forEach((vec) => {
+      for (let k = 0; k < 3; ++k) {
+        view.setFloat32(offset, vec[k], true);
+        offset += 4;
+      }
+    });
+    view.setUint16(offset, 0, true);
+    offset += 2;
+  }
+  return buffer;
+}
+
+// PLY with float position/normal properties and int vertex_indices lists.
+// `binary` selects binary_little_endian (ArrayBuffer) over ASCII (string).
+function meshToPLY(mesh, binary = false) {
+  const { positions, normals, indices } = mesh;
+  const vertexCount = positions.length / 3;
+  const faceCount = indices.length / 3;
+  const header =
+    [
+      "ply",
+      "format " + (binary ? "binary_little_endian" : "ascii") + " 1.0",
+      "comment exported by phongLightingModular",
+      "element vertex " + vertexCount,
+      "property float x",
+      "property float y",
+      "property float z",
+      "property float nx",
+      "property float ny",
+      "property float nz",
+      "element face " + faceCount,
+      "property list uchar int vertex_indices",
+      "end_header",
+    ].join("\n") + "\n";
+
+  if (!binary) {
+    const lines = [header.trimEnd()];
+    for (let v = 0; v < vertexCount; ++v) {
+      lines.push(
+        [0, 1, 2].map((k) => positions[v * 3 + k]).join(" ") +
+          " " +
+          [0, 1, 2].map((k) => normals[v * 3 + k]).join(" ")
+      );
+    }
+    for (let t = 0; t < indices.length; t += 3) {
+      lines.push(
+        "3 " + indices[t] + " " + indices[t + 1] + " " + indices[t + 2]
+      );
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  const headerBytes = new TextEncoder().encode(header);
+  const buffer = new ArrayBuffer(
+    headerBytes.length + vertexCount * 24 + faceCount * 13
+  );
+  new Uint8Array(buffer).set(headerBytes);
+  const view = new DataView(buffer);
+  let offset = headerBytes.length;
+  for (let v = 0; v < vertexCount; ++v) {
+    for (let k = 0; k < 3; ++k, offset += 4)
+      view.setFloat32(offset, positions[v * 3 + k], true);
+    for (let k = 0; k < 3; ++k, offset += 4)
+      view.setFloat32(offset, normals[v * 3 + k], true);
+  }
+  for (let t = 0; t < indices.length; t += 3) {
+    view.setUint8(offset++, 3);
+    for (let k = 0; k < 3; ++k, offset += 4)
+      view.setInt32(offset, indices[t + k], true);
+  }
+  return buffer;
+}
+
+// Export `mesh` (either input shape) in `format` ("obj", "stl", "ply" or
+// "ply-binary"), optionally closed into a solid, and return a Blob plus a
+// suggested file name.
+function exportMesh(mesh, format, options = {}) {
+  let m = toExportMesh(mesh);
+  if (options.watertight) m = closeMeshBottom(m, options.baseDepth);
+  const name = options.name || "terrain";
+  switch (format) {
+    case "obj":
+      return {
+        blob: new Blob([meshToOBJ(m, name)], { type: "text/plain" }),
+        fileName: name + ".obj",
+      };
+    case "stl":
+      return {
+        blob: new Blob([meshToSTL(m)], { type: "model/stl" }),
+        fileName: name + ".stl",
+      };
+    case "ply":
+      return {
+        blob: new Blob([meshToPLY(m, false)], { type: "text/plain" }),
+        fileName: name + ".ply",
+      };
+    case "ply-binary":
+      return {
+        blob: new Blob([meshToPLY(m, true)], {
+          type: "application/octet-stream",
+        }),
+        fileName: name + ".ply",
+      };
+    default:
+      throw new Error("exportMesh: unknown format '" + format + "'");
+  }
+}
+
+// Trigger a browser download for a Blob.
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Expose helpers globally (non-module style to match project scripts)
+window.toExportMesh = toExportMesh;
+window.closeMeshBottom = closeMeshBottom;
+window.meshToOBJ = meshToOBJ;
+window.meshToSTL = meshToSTL;
+window.meshToPLY = meshToPLY;
+window.exportMesh = exportMesh;
+window.downloadBlob = downloadBlob;
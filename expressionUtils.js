@@ -0,0 +1,298 @@
+// Expression utilities
+// A small sandboxed evaluator for user-typed elevation formulas such as
+// `sin(x)*atan(z) + 0.2*cos(3*x)`. The source is tokenized and parsed by a
+// recursive-descent parser into a tree of closures; nothing is passed to
+// `eval` or `Function`, and only the variables, constants and functions
+// listed below can be referenced, so an expression cannot reach `window`
+// or any other global.
+//
+// Grammar (lowest to highest precedence):
+//   expression := term (("+" | "-") term)*
+//   term       := unary (("*" | "/" | "%") unary)*
+//   unary      := ("+" | "-") unary | power
+//   power      := primary (("^" | "**") unary)?     (right associative)
+//   primary    := number | name | name "(" args ")" | "(" expression ")"
+
+const expressionConstants = {
+  pi: Math.PI,
+  e: Math.E,
+};
+
+// name -> [implementation, minimum argument count, maximum argument count]
+const expressionFunctions = {
+  sin: [Math.sin, 1, 1],
+  cos: [Math.cos, 1, 1],
+  tan: [Math.tan, 1, 1],
+  asin: [Math.asin, 1, 1],
+  acos: [Math.acos, 1, 1],
+  atan: [Math.atan, 1, 1],
+  atan2: [Math.atan2, 2, 2],
+  sinh: [Math.sinh, 1, 1],
+  cosh: [Math.cosh, 1, 1],
+  tanh: [Math.tanh, 1, 1],
+  sqrt: [Math.sqrt, 1, 1],
+  abs: [Math.abs, 1, 1],
+  exp: [Math.exp, 1, 1],
+  log: [Math.log, 1, 1],
+  pow: [Math.pow, 2, 2],
+  min: [Math.min, 1, Infinity],
+  max: [Math.max, 1, Infinity],
+  floor: [Math.floor, 1, 1],
+  ceil: [Math.ceil, 1, 1],
+  round: [Math.round, 1, 1],
+  sign: [Math.sign, 1, 1],
+  hypot: [Math.hypot, 1, Infinity],
+  clamp: [(v, lo, hi) => Math.min(Math.max(v, lo), hi), 3, 3],
+};
+
+// Split the source into tokens: { type, value, pos } where type is one of
+// "number", "name", "op" or "end". `pos` is the 1-based column used in
+// error messages.
+function tokenizeExpression(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const rest = source.slice(i);
+    const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(rest);
+    if (number) {
+      tokens.push({ type: "number", value: parseFloat(number[0]), pos: i + 1 });
+      i += number[0].length;
+      continue;
+    }
+    const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest);
+    if (name) {
+      tokens.push({ type: "name", value: name[0], pos: i + 1 });
+      i += name[0].length;
+      continue;
+    }
+    if (rest.startsWith("**")) {
+      tokens.push({ type: "op", value: "^", pos: i + 1 });
+      i += 2;
+      continue;
+    }
+    if ("+-*/%^(),".includes(ch)) {
+      tokens.push({ type: "op", value: ch, pos: i + 1 });
+      i++;
+      continue;
+    }
+    throw new Error(
+      "Syntax error at column " +
+        (i + 1) +
+        ": unexpected character '" +
+        ch +
+        "'"
+    );
+  }
+  tokens.push({ type: "end", value: "", pos: source.length + 1 });
+  return tokens;
+}
+
+// Parse and compile `source` into a JS function taking one argument per
+// entry in `variables` (default ["x", "z"]). Throws an Error with a
+// column-accurate message on syntax errors, unknown identifiers and wrong
+// argument counts, so callers can show the message directly to the user.
+function compileExpression(source, variables = ["x", "z"]) {
+  if (typeof source !== "string" || source.trim() === "") {
+    throw new Error("Expression is empty");
+  }
+  const tokens = tokenizeExpression(source);
+  const env = new Float64Array(variables.length);
+  let index = 0;
+
+  function peek() {
+    return tokens[index];
+  }
+  function isOp(value) {
+    const t = tokens[index];
+    return t.type === "op" && t.value === value;
+  }
+  function describe(t) {
+    return t.type === "end" ? "end of expression" : "'" + t.value + "'";
+  }
+  function fail(t, message) {
+    throw new Error("Syntax error at column " + t.pos + ": " + message);
+  }
+  function expect(value) {
+    const t = peek();
+    if (!isOp(value))
+      fail(t, "expected '" + value + "' but found " + describe(t));
+    index++;
+  }
+
+  function parseExpression() {
+    let left = parseTerm();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[index++].value;
+      const a = left;
+      const b = parseTerm();
+      left = op === "+" ? () => a() + b() : () => a() - b();
+    }
+    return left;
+  }
+
+  function parseTerm() {
+    let left = parseUnary();
+    while (isOp("*") || isOp("/") || isOp("%")) {
+      const op = tokens[index++].value;
+      const a = left;
+      const b = parseUnary();
+      if (op === "*") left = () => a() * b();
+      else if (op === "/") left = () => a() / b();
+      else left = () => a() % b();
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isOp("-")) {
+      index++;
+      const a = parseUnary();
+      return () => -a();
+    }
+    if (isOp("+")) {
+      index++;
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (isOp("^")) {
+      index++;
+      const exponent = parseUnary();
+      return () => Math.pow(base(), exponent());
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const t = peek();
+    if (t.type === "number") {
+      index++;
+      const value = t.value;
+      return () => value;
+    }
+    if (isOp("(")) {
+      index++;
+      const inner = parseExpression();
+      expect(")");
+      return inner;
+    }
+    if (t.type === "name") {
+      index++;
+      if (isOp("(")) return parseCall(t);
+      return resolveName(t);
+    }
+    fail(t, "unexpected " + describe(t));
+  }
+
+  function parseCall(nameToken) {
+    const name = nameToken.value;
+    if (!Object.prototype.hasOwnProperty.call(expressionFunctions, name)) {
+      if (
+        variables.includes(name) ||
+        Object.prototype.hasOwnProperty.call(expressionConstants, name)
+      ) {
+        throw new Error(
+          "'" + name + "' at column " + nameToken.pos + " is not a function"
+        );
+      }
+      throw new Error(
+        "Unknown function '" +
+          name +
+          "' at column " +
+          nameToken.pos +
+          " (available: " +
+          Object.keys(expressionFunctions).join(", ") +
+          ")"
+      );
+    }
+    const [fn, minArgs, maxArgs] = expressionFunctions[name];
+    expect("(");
+    const args = [];
+    if (!isOp(")")) {
+      args.push(parseExpression());
+      while (isOp(",")) {
+        index++;
+        args.push(parseExpression());
+      }
+    }
+    expect(")");
+    if (args.length < minArgs || args.length > maxArgs) {
+      const expected =
+        minArgs === maxArgs
+          ? String(minArgs)
+          : maxArgs === Infinity
+          ? "at least " + minArgs
+          : minArgs + " to " + maxArgs;
+      throw new Error(
+        "'" +
+          name +
+          "' at column " +
+          nameToken.pos +
+          " expects " +
+          expected +
+          " argument(s), got " +
+          args.length
+      );
+    }
+    if (args.length === 1) {
+      const a = args[0];
+      return () => fn(a());
+    }
+    if (args.length === 2) {
+      const a = args[0];
+      const b = args[1];
+      return () => fn(a(), b());
+    }
+    return () => fn(...args.map((a) => a()));
+  }
+
+  function resolveName(t) {
+    const slot = variables.indexOf(t.value);
+    if (slot >= 0) return () => env[slot];
+    if (Object.prototype.hasOwnProperty.call(expressionConstants, t.value)) {
+      const value = expressionConstants[t.value];
+      return () => value;
+    }
+    if (Object.prototype.hasOwnProperty.call(expressionFunctions, t.value)) {
+      throw new Error(
+        "'" +
+          t.value +
+          "' at column " +
+          t.pos +
+          " is a function; call it like " +
+          t.value +
+          "(...)"
+      );
+    }
+    throw new Error(
+      "Undefined identifier '" +
+        t.value +
+        "' at column " +
+        t.pos +
+        " (variables: " +
+        variables.join(", ") +
+        "; constants: " +
+        Object.keys(expressionConstants).join(", ") +
+        ")"
+    );
+  }
+
+  const root = parseExpression();
+  if (peek().type !== "end") fail(peek(), "unexpected " + describe(peek()));
+
+  return function () {
+    for (let i = 0; i < env.length; ++i) env[i] = arguments[i];
+    return root();
+  };
+}
+
+// Expose helpers globally (non-module style to match project scripts)
+window.compileExpression = compileExpression;
@@ -0,0 +1,87 @@
+// View-frustum culling
+// The six clip planes are read straight off the rows of the
+// view-projection matrix (Gribb/Hartmann): a point p is inside when
+// dot(plane.xyz, p) + plane.w >= 0 for every plane. The projections in
+// this project map depth to [0, 1] (see perspectiveZO/perspectiveReverseZ
+// in MVnew.js), so the depth planes are z >= 0 and z <= w; with reverse-Z
+// those are simply far and near swapped, and with an infinite far plane
+// one of them becomes a constant that never rejects anything.
+//
+// Planes live in one Float32Array of 24 floats ([a, b, c, d] x 6) so the
+// render loop can refresh them every frame without allocating.
+
+function createFrustum() {
+  return new Float32Array(24);
+}
+
+// Extract the planes of `viewProjection` (a mat4f, column-major) into
+// `out` (from createFrustum()), normalized so that the plane equation
+// gives true distances.
+function extractFrustumPlanes(out, viewProjection) {
+  const m = viewProjection;
+  // row r of the matrix is m[r], m[4 + r], m[8 + r], m[12 + r]
+  for (let p = 0; p < 6; ++p) {
+    const row = p >> 1; // left/right: x, bottom/top: y, near/far: z
+    const sign = p & 1 ? -1 : 1;
+    for (let k = 0; k < 4; ++k) {
+      const r3 = m[4 * k + 3];
+      const r = m[4 * k + row];
+      // x, y: w + x >= 0 and w - x >= 0; z: z >= 0 and w - z >= 0
+      out[4 * p + k] = row === 2 && sign > 0 ? r : r3 + sign * r;
+    }
+    const len = Math.hypot(out[4 * p], out[4 * p + 1], out[4 * p + 2]);
+    if (len > 0) {
+      for (let k = 0; k < 4; ++k) out[4 * p + k] /= len;
+    }
+  }
+  return out;
+}
+
+// false when the sphere lies entirely outside one of the planes
+function sphereInFrustum(planes, center, radius) {
+  for (let p = 0; p < 24; p += 4) {
+    const d =
+      planes[p] * center[0] +
+      planes[p + 1] * center[1] +
+      planes[p + 2] * center[2] +
+      planes[p + 3];
+    if (d < -radius) return false;
+  }
+  return true;
+}
+
+// false when the box lies entirely outside one of the planes: for each
+// plane only the corner farthest along its normal needs checking
+function aabbInFrustum(planes, min, max) {
+  for (let p = 0; p < 24; p += 4) {
+    const a = planes[p];
+    const b = planes[p + 1];
+    const c = planes[p + 2];
+    const d =
+      a * (a >= 0 ? max[0] : min[0]) +
+      b * (b >= 0 ? max[1] : min[1]) +
+      c * (c >= 0 ? max[2] : min[2]) +
+      planes[p + 3];
+    if (d < 0) return false;
+  }
+  return true;
+}
+
+// Conservative visibility of world-space bounds (see boundsUtils.js): the
+// sphere test rejects most off-screen objects cheaply, the box test then
+// catches those whose sphere is much larger than they are.
+function boundsInFrustum(planes, bounds) {
+  if (boundsIsEmpty(bounds)) return false; // boundsUtils.js
+  const { sphere, box } = bounds;
+  return (
+    sphereInFrustum(planes, sphere.center, sphere.radius) &&
+    aabbInFrustum(planes, box.min, box.max)
+  );
+}
+
+// Expose helpers globally (non-module style to match project scripts)
+window.createFrustum = createFrustum;
+window.extractFrustumPlanes = extractFrustumPlanes;
+window.sphereInFrustum = sphereInFrustum;
+window.aabbInFrustum = aabbInFrustum;
+window.boundsInFrustum = boundsInFrustum;
@@ -5,23 +5,167 @@
 //   counter-clockwise (ccw), so keep this in mind when setting pipeline
 //   frontFace/cullMode (we set frontFace='cw' and default to no culling to
 //   preserve the original WebGL behavior).
-function generateMesh() {
-  let meshVertices = [];
-  let size = 25;
-  let step = 0.1; // smoothness
-  let offset = -5;
-  function elevation(x, z) {
-    // Elevation function,replace this with any other function
-    return Math.sin(x) * Math.atan(z);
-    // let r = 0.75; // minor radius of half-bagel
-    // let bigR = 2.75; // major radius of half-bagel
-    // let radiusDiff = Math.sqrt(x ** 2 + z ** 2) - bigR;
-    // let y = Math.sqrt(Math.max(0, r ** 2 - radiusDiff ** 2));
-    // return y - offset;
+
+// Built-in elevation functions. Each takes the grid coordinates and the
+// terrain descriptor (so a preset can depend on e.g. the vertical offset)
+// and returns the height before `offset` is added. Presets that need
+// one-time setup provide `create(terrain)` instead, returning the
+// elevation(x, z) closure.
+const elevationPresets = {
+  sinAtan: {
+    label: "sin(x)·atan(z)",
+    fn: function (x, z) {
+      return Math.sin(x) * Math.atan(z);
+    },
+  },
+  halfBagel: {
+    label: "Half-bagel",
+    fn: function (x, z, terrain) {
+      let r = 0.75; // minor radius of half-bagel
+      let bigR = 2.75; // major radius of half-bagel
+      let radiusDiff = Math.sqrt(x ** 2 + z ** 2) - bigR;
+      let y = Math.sqrt(Math.max(0, r ** 2 - radiusDiff ** 2));
+      // cancel the vertical offset so the bagel sits on y = 0
+      return y - terrain.offset;
+    },
+  },
+  expression: {
+    label: "Custom expression",
+    create: function (terrain) {
+      const fn = compileExpression(terrain.expression, ["x", "z"]); // expressionUtils.js
+      // a NaN or infinite height (log(0), 1/x, ...) would end up in the
+      // vertex buffers and exports, so reject the terrain instead
+      return function (x, z) {
+        const y = fn(x, z);
+        if (!isFinite(y)) {
+          throw new Error(
+            "terrain: expression is " +
+              y +
+              " at x = " +
+              +x.toFixed(4) +
+              ", z = " +
+              +z.toFixed(4)
+          );
+        }
+        return y;
+      };
+    },
+  },
+  heightmap: {
+    label: "Heightmap",
+    create: function (terrain) {
+      if (!terrain.heightmap) {
+        throw new Error("terrain: no heightmap loaded");
+      }
+      return heightmapElevation(
+        terrain.heightmap,
+        terrain.size,
+        terrain.heightScale
+      ); // heightmapUtils.js
+    },
+  },
+  noiseFbm: {
+    label: "Noise: fBm",
+    create: function (terrain) {
+      return makeNoiseElevation("fbm", terrain.noise); // noiseUtils.js
+    },
+  },
+  noiseRidged: {
+    label: "Noise: ridged multifractal",
+    create: function (terrain) {
+      return makeNoiseElevation("ridged", terrain.noise); // noiseUtils.js
+    },
+  },
+  noiseWarp: {
+    label: "Noise: domain warp",
+    create: function (terrain) {
+      return makeNoiseElevation("warp", terrain.noise); // noiseUtils.js
+    },
+  },
+};
+
+// Terrain descriptor consumed by generateMesh()/generateIndexedMesh():
+// - size: horizontal extent of the square grid (world units)
+// - step: grid spacing, i.e. the resolution ("smoothness")
+// - offset: vertical offset added to every elevation
+// - elevation: name of an entry in elevationPresets
+// - expression: formula in x and z used by the "expression" preset
+// - heightmap: { width, height, data } used by the "heightmap" preset
+// - heightScale: world height of a heightmap sample equal to 1.0
+// - noise: settings for the noise presets (see noiseUtils.js::defaultNoise)
+const defaultTerrain = {
+  size: 25,
+  step: 0.1,
+  offset: -5,
+  elevation: "sinAtan",
+  expression: "sin(x)*atan(z) + 0.2*cos(3*x)",
+  heightmap: null,
+  heightScale: 5,
+  noise: Object.assign({}, defaultNoise),
+};
+
+// Largest grid (quads) a terrain may have. The full-resolution meshes are
+// built synchronously in plain arrays, so a size/step ratio much past the
+// default's 250 per side would hang the page or run out of memory.
+const MAX_TERRAIN_QUADS = 512 * 512;
+
+// Fill missing fields from defaultTerrain and validate the rest.
+function resolveTerrain(terrain) {
+  const t = Object.assign({}, defaultTerrain, terrain);
+  if (!(t.size > 0)) throw new Error("terrain: size must be > 0");
+  if (!(t.step > 0)) throw new Error("terrain: step must be > 0");
+  const n = Math.round(t.size / t.step); // quads per side
+  if (n < 1) throw new Error("terrain: step is too large for the size");
+  if (n * n > MAX_TERRAIN_QUADS) {
+    throw new Error(
+      "terrain: size / step gives a " +
+        n +
+        " x " +
+        n +
+        " grid, more than the " +
+        Math.sqrt(MAX_TERRAIN_QUADS) +
+        " x " +
+        Math.sqrt(MAX_TERRAIN_QUADS) +
+        " allowed; use a larger step"
+    );
+  }
+  if (!isFinite(t.offset)) throw new Error("terrain: offset must be a number");
+  if (!isFinite(t.heightScale)) {
+    throw new Error("terrain: heightScale must be a number");
   }
+  return t;
+}
 
-  for (let x = -size / 2; x < size / 2; x += step) {
-    for (let z = -size / 2; z < size / 2; z += step) {
+// Return an elevation(x, z) closure for a resolved terrain descriptor.
+function terrainElevation(t) {
+  const preset = elevationPresets[t.elevation];
+  if (!preset) {
+    throw new Error(
+      "terrain: unknown elevation function '" + t.elevation + "'"
+    );
+  }
+  if (preset.create) return preset.create(t);
+  return function (x, z) {
+    return preset.fn(x, z, t);
+  };
+}
+
+function generateMesh(terrain) {
+  let meshVertices = [];
+  const t = resolveTerrain(terrain);
+  let size = t.size;
+  let step = t.step; // smoothness
+  let offset = t.offset;
+  const elevation = terrainElevation(t);
+
+  // integer quad counts (rather than accumulating `x += step`) so the grid
+  // matches generateIndexedMesh() exactly: quad (i, j) is the 6 vertices
+  // starting at vertex 6 * (i * n + j)
+  const n = Math.round(size / step); // quads per side
+  for (let i = 0; i < n; ++i) {
+    const x = -size / 2 + i * step;
+    for (let j = 0; j < n; ++j) {
+      const z = -size / 2 + j * step;
       // Four adjacent points on the data field (a quad)
       let p1 = [x, elevation(x, z) + offset, z, 1.0];
       let p2 = [x, elevation(x, z + step) + offset, z + step, 1.0];
@@ -68,3 +212,92 @@ function computeNormals(array) {
   }
   return { p: pArray, n: nArray };
 }
+
+// Indexed variant of generateMesh(). Instead of emitting six fresh vertices
+// per quad, build a unique (n+1)x(n+1) vertex grid and an index array that
+// references it. Triangles use the same left-hand winding as generateMesh()
+// so the same pipeline frontFace setting applies to both paths.
+// Takes the same terrain descriptor as generateMesh().
+// Returns { positions: [vec4], indices: Uint16Array|Uint32Array, cols }.
+function generateIndexedMesh(terrain) {
+  const t = resolveTerrain(terrain);
+  let size = t.size;
+  let step = t.step; // smoothness
+  let offset = t.offset;
+  const elevation = terrainElevation(t);
+
+  const n = Math.round(size / step); // quads per side
+  const cols = n + 1; // vertices per side
+  const positions = [];
+  for (let i = 0; i < cols; ++i) {
+    const x = -size / 2 + i * step;
+    for (let j = 0; j < cols; ++j) {
+      const z = -size / 2 + j * step;
+      positions.push(vec4(x, elevation(x, z) + offset, z, 1.0));
+    }
+  }
+
+  // WebGPU index buffers are uint16 or uint32; pick the smaller type when
+  // every vertex index fits into 16 bits.
+  const IndexArray = positions.length <= 0xffff ? Uint16Array : Uint32Array;
+  const indices = new IndexArray(n * n * 6);
+  let k = 0;
+  for (let i = 0; i < n; ++i) {
+    for (let j = 0; j < n; ++j) {
+      // same quad corners as generateMesh(): p1=(x,z) p2=(x,z+1)
+      // p3=(x+1,z) p4=(x+1,z+1)
+      const p1 = i * cols + j;
+      const p2 = p1 + 1;
+      const p3 = p1 + cols;
+      const p4 = p3 + 1;
+      indices[k++] = p2;
+      indices[k++] = p1;
+      indices[k++] = p3;
+      indices[k++] = p3;
+      indices[k++] = p4;
+      indices[k++] = p2;
+    }
+  }
+  return { positions: positions, indices: indices, cols: cols };
+}
+
+// Smooth per-vertex normals for an indexed mesh. Each triangle adds its
+// unnormalized face normal (whose length is twice the triangle area) to its
+// three vertices, so larger triangles weigh more; the sums are normalized at
+// the end. The sign matches computeNormals() so both paths light the same.
+function computeSmoothNormals(positions, indices) {
+  const count = positions.length;
+  const acc = new Float32Array(count * 3);
+  for (let t = 0; t < indices.length; t += 3) {
+    const ia = indices[t];
+    const ib = indices[t + 1];
+    const ic = indices[t + 2];
+    const a = positions[ia];
+    const b = positions[ib];
+    const c = positions[ic];
+    const e1x = b[0] - a[0];
+    const e1y = b[1] - a[1];
+    const e1z = b[2] - a[2];
+    const e2x = c[0] - a[0];
+    const e2y = c[1] - a[1];
+    const e2z = c[2] - a[2];
+    // negated cross(e1, e2), see computeNormals()
+    const nx = -(e1y * e2z - e1z * e2y);
+    const ny = -(e1z * e2x - e1x * e2z);
+    const nz = -(e1x * e2y - e1y * e2x);
+    for (const v of [ia, ib, ic]) {
+      acc[v * 3] += nx;
+      acc[v * 3 + 1] += ny;
+      acc[v * 3 + 2] += nz;
+    }
+  }
+  const normals = new Array(count);
+  for (let v = 0; v < count; ++v) {
+    const x = acc[v * 3];
+    const y = acc[v * 3 + 1];
+    const z = acc[v * 3 + 2];
+    const len = Math.sqrt(x * x + y * y + z * z) || 1.0;
+    normals[v] = vec4(x / len, y / len, z / len, 0.0);
+  }
+  return normals;
+}
@@ -0,0 +1,408 @@
+// glTF 2.0 loader
+// Reads `.gltf` (JSON with base64 data-URI buffers, or external .bin files
+// supplied alongside) and `.glb` (binary container) files into the same mesh
+// shape as objLoader.js, so addModels() in main.js can upload them:
+//   { name, material, vertices, uvs, indices, transform }
+// `vertices` is interleaved [x,y,z, nx,ny,nz] to match the pipeline's
+// `arrayStride`/`attributes`, and `transform` is the node's world matrix as
+// an MV.js mat4.
+//
+// Supported: triangle primitives (indexed or not) with POSITION, optional
+// NORMAL/TEXCOORD_0, node hierarchies with TRS or matrix transforms, and
+// pbrMetallicRoughness base color/metallic/roughness factors approximated
+// as Phong materials. Anything else (other primitive modes, sparse
+// accessors, compression or material extensions, ...) is skipped or
+// ignored and reported in the `warnings` list instead of throwing.
+
+const GLTF_COMPONENT_ARRAYS = {
+  5120: Int8Array,
+  5121: Uint8Array,
+  5122: Int16Array,
+  5123: Uint16Array,
+  5125: Uint32Array,
+  5126: Float32Array,
+};
+
+const GLTF_TYPE_SIZES = {
+  SCALAR: 1,
+  VEC2: 2,
+  VEC3: 3,
+  VEC4: 4,
+  MAT2: 4,
+  MAT3: 9,
+  MAT4: 16,
+};
+
+// extensions whose absence does not change the geometry we read
+const GLTF_IGNORABLE_EXTENSIONS = ["KHR_materials_emissive_strength"];
+
+// Split a .glb into its JSON and BIN chunks.
+function parseGLB(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  if (view.byteLength < 20 || view.getUint32(0, true) !== 0x46546c67) {
+    throw new Error("parseGLB: not a binary glTF file (bad magic)");
+  }
+  const version = view.getUint32(4, true);
+  if (version !== 2) {
+    throw new Error("parseGLB: unsupported container version " + version);
+  }
+  const length = Math.min(view.getUint32(8, true), view.byteLength);
+  let offset = 12;
+  let json = null;
+  let bin = null;
+  while (offset + 8 <= length) {
+    const chunkLength = view.getUint32(offset, true);
+    const chunkType = view.getUint32(offset + 4, true);
+    const start = offset + 8;
+    if (start + chunkLength > length) {
+      throw new Error("parseGLB: chunk extends past end of file");
+    }
+    if (chunkType === 0x4e4f534a) {
+      // "JSON"
+      const text = new TextDecoder().decode(
+        new Uint8Array(arrayBuffer, start, chunkLength)
+      );
+      json = JSON.parse(text);
+    } else if (chunkType === 0x004e4942 && !bin) {
+      // "BIN\0"
+      bin = arrayBuffer.slice(start, start + chunkLength);
+    }
+    offset = start + chunkLength;
+  }
+  if (!json) throw new Error("parseGLB: missing JSON chunk");
+  return { json: json, bin: bin };
+}
+
+// Decode a data URI (base64 or percent-encoded) into an ArrayBuffer.
+function decodeDataURI(uri) {
+  const comma = uri.indexOf(",");
+  if (!uri.startsWith("data:") || comma < 0) return null;
+  const header = uri.slice(5, comma);
+  const payload = uri.slice(comma + 1);
+  const binary = header.endsWith(";base64")
+    ? atob(payload)
+    : decodeURIComponent(payload);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; ++i) bytes[i] = binary.charCodeAt(i);
+  return bytes.buffer;
+}
+
+// Convert a glTF column-major 16-float array into an MV.js mat4.
+function gltfMatrixToMat4(m) {
+  const result = mat4();
+  for (let r = 0; r < 4; ++r) {
+    for (let c = 0; c < 4; ++c) result[r][c] = m[c * 4 + r];
+  }
+  return result;
+}
+
+// Local transform of a node: `matrix` or T * R * S.
+function gltfNodeMatrix(node) {
+  if (node.matrix) return gltfMatrixToMat4(node.matrix);
+  return mat4Compose(
+    node.translation || [0, 0, 0],
+    node.rotation || [0, 0, 0, 1],
+    node.scale || [1, 1, 1]
+  ); // MVnew.js
+}
+
+// Approximate a metallic-roughness material with the Phong terms used by
+// packUniforms(): diffuse is the base color, halved for metals since Phong
+// has no environment reflection to carry their color; the specular color
+// moves from 4% grey to the base color as metallic -> 1, and roughness maps
+// to a Blinn-Phong exponent.
+function gltfMaterialToPhong(material) {
+  const pbr = (material && material.pbrMetallicRoughness) || {};
+  const base = pbr.baseColorFactor || [1, 1, 1, 1];
+  const metallic = pbr.metallicFactor !== undefined ? pbr.metallicFactor : 1;
+  const roughness = pbr.roughnessFactor !== undefined ? pbr.roughnessFactor : 1;
+  const spec = (i) => 0.04 * (1 - metallic) + base[i] * metallic;
+  const a = Math.max(roughness * roughness, 0.01);
+  return {
+    ambient: vec4(base[0] * 0.2, base[1] * 0.2, base[2] * 0.2, 1.0),
+    diffuse: vec4(
+      base[0] * (1 - 0.5 * metallic),
+      base[1] * (1 - 0.5 * metallic),
+      base[2] * (1 - 0.5 * metallic),
+      1.0
+    ),
+    specular: vec4(spec(0), spec(1), spec(2), 1.0),
+    shininess: Math.min(Math.max(2 / (a * a) - 2, 1), 1000),
+  };
+}
+
+// Build meshes from a parsed glTF document. `buffers` holds one
+// ArrayBuffer (or null if unavailable) per entry in json.buffers.
+function buildGLTF(json, buffers) {
+  const warnings = [];
+  const meshes = [];
+  const version = json.asset && json.asset.version;
+  if (!version || !String(version).startsWith("2.")) {
+    warnings.push("asset.version is '" + version + "', expected 2.x");
+  }
+  (json.extensionsUsed || []).forEach((ext) => {
+    if (GLTF_IGNORABLE_EXTENSIONS.includes(ext)) return;
+    const required = (json.extensionsRequired || []).includes(ext);
+    warnings.push(
+      (required ? "required" : "optional") +
+        " extension " +
+        ext +
+        " is not supported" +
+        (required
+          ? "; the model may not display correctly"
+          : " and was ignored")
+    );
+  });
+
+  function readAccessor(index) {
+    const accessor = json.accessors && json.accessors[index];
+    if (!accessor) throw new Error("accessor " + index + " does not exist");
+    const ArrayType = GLTF_COMPONENT_ARRAYS[accessor.componentType];
+    const size = GLTF_TYPE_SIZES[accessor.type];
+    if (!ArrayType || !size) {
+      throw new Error("accessor " + index + " has an unsupported type");
+    }
+    if (accessor.sparse) {
+      warnings.push("accessor " + index + ": sparse data is ignored");
+    }
+    const out = new ArrayType(accessor.count * size);
+    if (accessor.bufferView === undefined) return out; // all zeros
+    const bufferView = json.bufferViews[accessor.bufferView];
+    const buffer = buffers[bufferView.buffer];
+    if (!buffer) {
+      throw new Error("buffer " + bufferView.buffer + " is not available");
+    }
+    const elementBytes = ArrayType.BYTES_PER_ELEMENT * size;
+    const stride = bufferView.byteStride || elementBytes;
+    const start = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+    if (
+      start + stride * (accessor.count - 1) + elementBytes >
+      buffer.byteLength
+    ) {
+      throw new Error(
+        "accessor " + index + " reads past the end of its buffer"
+      );
+    }
+    const bytes = new Uint8Array(buffer);
+    // copy element by element so strides and unaligned offsets both work
+    const element = new Uint8Array(elementBytes);
+    const typed = new ArrayType(element.buffer);
+    for (let i = 0; i < accessor.count; ++i) {
+      element.set(
+        bytes.subarray(start + i * stride, start + i * stride + elementBytes)
+      );
+      out.set(typed, i * size);
+    }
+    if (accessor.normalized && ArrayType !== Float32Array) {
+      const max = { 5120: 127, 5121: 255, 5122: 32767, 5123: 65535 }[
+        accessor.componentType
+      ];
+      const floats = new Float32Array(out.length);
+      for (let i = 0; i < out.length; ++i)
+        floats[i] = Math.max(out[i] / max, -1);
+      return floats;
+    }
+    return out;
+  }
+
+  function buildPrimitive(primitive, name, transform, where) {
+    const mode = primitive.mode !== undefined ? primitive.mode : 4;
+    if (mode !== 4) {
+      warnings.push(
+        where + ": primitive mode " + mode + " is not triangles; skipped"
+      );
+      return;
+    }
+    const unsupported = Object.keys(primitive.extensions || {});
+    if (unsupported.length) {
+      warnings.push(where + ": uses " + unsupported.join(", ") + "; skipped");
+      return;
+    }
+    if (primitive.attributes.POSITION === undefined) {
+      warnings.push(where + ": no POSITION attribute; skipped");
+      return;
+    }
+    const positions = readAccessor(primitive.attributes.POSITION);
+    const count = positions.length / 3;
+    let indices;
+    if (primitive.indices !== undefined) {
+      const raw = readAccessor(primitive.indices);
+      indices = count <= 0xffff ? new Uint16Array(raw) : new Uint32Array(raw);
+    } else {
+      indices =
+        count <= 0xffff ? new Uint16Array(count) : new Uint32Array(count);
+      for (let i = 0; i < count; ++i) indices[i] = i;
+    }
+    let normals =
+      primitive.attributes.NORMAL !== undefined
+        ? readAccessor(primitive.attributes.NORMAL)
+        : null;
+    if (!normals) {
+      // area-weighted smooth normals (glTF winding is counter-clockwise)
+      normals = new Float32Array(count * 3);
+      for (let t = 0; t + 2 < indices.length; t += 3) {
+        const [a, b, c] = [indices[t], indices[t + 1], indices[t + 2]];
+        const e1 = [0, 1, 2].map(
+          (k) => positions[b * 3 + k] - positions[a * 3 + k]
+        );
+        const e2 = [0, 1, 2].map(
+          (k) => positions[c * 3 + k] - positions[a * 3 + k]
+        );
+        const n = [
+          e1[1] * e2[2] - e1[2] * e2[1],
+          e1[2] * e2[0] - e1[0] * e2[2],
+          e1[0] * e2[1] - e1[1] * e2[0],
+        ];
+        [a, b, c].forEach((v) => {
+          for (let k = 0; k < 3; ++k) normals[v * 3 + k] += n[k];
+        });
+      }
+      for (let v = 0; v < count; ++v) {
+        const len =
+          Math.hypot(normals[v * 3], normals[v * 3 + 1], normals[v * 3 + 2]) ||
+          1;
+        for (let k = 0; k < 3; ++k) normals[v * 3 + k] /= len;
+      }
+    }
+    const vertices = new Float32Array(count * 6);
+    for (let v = 0; v < count; ++v) {
+      for (let k = 0; k < 3; ++k) {
+        vertices[v * 6 + k] = positions[v * 3 + k];
+        vertices[v * 6 + 3 + k] = normals[v * 3 + k];
+      }
+    }
+    const uvs =
+      primitive.attributes.TEXCOORD_0 !== undefined
+        ? new Float32Array(readAccessor(primitive.attributes.TEXCOORD_0))
+        : null;
+    const material =
+      primitive.material !== undefined
+        ? json.materials[primitive.material]
+        : null;
+    if (material && material.extensions) {
+      Object.keys(material.extensions).forEach((ext) => {
+        if (GLTF_IGNORABLE_EXTENSIONS.includes(ext)) return;
+        warnings.push(where + ": material extension " + ext + " ignored");
+      });
+    }
+    meshes.push({
+      name: name,
+      material: gltfMaterialToPhong(material),
+      vertices: vertices,
+      uvs: uvs,
+      indices: indices,
+      transform: transform,
+    });
+  }
+
+  // `path` is the JSON path that refers to the node, for warnings
+  function visit(nodeIndex, parentMatrix, depth, path) {
+    const node = json.nodes && json.nodes[nodeIndex];
+    if (!node) {
+      warnings.push(path + ": node " + nodeIndex + " does not exist; skipped");
+      return;
+    }
+    if (depth > 64) {
+      warnings.push("node " + nodeIndex + ": hierarchy too deep (cycle?)");
+      return;
+    }
+    const world = mult(parentMatrix, gltfNodeMatrix(node));
+    if (node.mesh !== undefined) {
+      const mesh = json.meshes && json.meshes[node.mesh];
+      if (!mesh) {
+        warnings.push(
+          "nodes[" +
+            nodeIndex +
+            "].mesh: mesh " +
+            node.mesh +
+            " does not exist; skipped"
+        );
+      }
+      const name = node.name || (mesh && mesh.name) || "mesh " + node.mesh;
+      ((mesh && mesh.primitives) || []).forEach((primitive, p) => {
+        const where = "mesh '" + name + "' primitive " + p;
+        try {
+          buildPrimitive(primitive, name, world, where);
+        } catch (e) {
+          warnings.push(where + ": " + e.message + "; skipped");
+        }
+      });
+    }
+    (node.children || []).forEach((child, c) =>
+      visit(
+        child,
+        world,
+        depth + 1,
+        "nodes[" + nodeIndex + "].children[" + c + "]"
+      )
+    );
+  }
+
+  // default scene, or every root node when no scene is declared
+  let roots;
+  let rootPath;
+  const scenes = json.scenes || [];
+  const sceneIndex = json.scene !== undefined ? json.scene : 0;
+  const scene = scenes[sceneIndex];
+  if (scene) {
+    roots = scene.nodes || [];
+    rootPath = "scenes[" + sceneIndex + "].nodes";
+  } else {
+    const children = new Set();
+    (json.nodes || []).forEach((n) =>
+      (n.children || []).forEach((c) => children.add(c))
+    );
+    roots = (json.nodes || []).map((_, i) => i).filter((i) => !children.has(i));
+    rootPath = "nodes";
+  }
+  roots.forEach((root, r) => visit(root, mat4(), 0, rootPath + "[" + r + "]"));
+  if (meshes.length === 0) warnings.push("no drawable meshes found");
+  return { meshes: meshes, warnings: warnings };
+}
+
+// Load a .glb or .gltf from a list of Files. External buffers referenced by
+// a .gltf are looked up by file name among the other selected files.
+async function loadGLTFFiles(fileList) {
+  const files = Array.from(fileList);
+  const glb = files.find((f) => f.name.toLowerCase().endsWith(".glb"));
+  if (glb) {
+    const { json, bin } = parseGLB(await glb.arrayBuffer());
+    const buffers = await resolveGLTFBuffers(json, files, bin);
+    const result = buildGLTF(json, buffers.buffers);
+    result.warnings = buffers.warnings.concat(result.warnings);
+    return result;
+  }
+  const gltf = files.find((f) => f.name.toLowerCase().endsWith(".gltf"));
+  if (!gltf) throw new Error("loadGLTFFiles: no .gltf or .glb file selected");
+  const json = JSON.parse(await gltf.text());
+  const buffers = await resolveGLTFBuffers(json, files, null);
+  const result = buildGLTF(json, buffers.buffers);
+  result.warnings = buffers.warnings.concat(result.warnings);
+  return result;
+}
+
+// Resolve json.buffers to ArrayBuffers: GLB BIN chunk, data URI or a
+// selected file with the same name. Missing buffers become null + warning.
+async function resolveGLTFBuffers(json, files, bin) {
+  const warnings = [];
+  const buffers = [];
+  for (const [i, buffer] of (json.buffers || []).entries()) {
+    if (buffer.uri === undefined) {
+      buffers.push(bin);
+      if (!bin) warnings.push("buffer " + i + " has no uri and no GLB chunk");
+    } else if (buffer.uri.startsWith("data:")) {
+      buffers.push(decodeDataURI(buffer.uri));
+    } else {
+      const name = decodeURIComponent(buffer.uri).split(/[\\/]/).pop();
+      const file = files.find((f) => f.name === name);
+      buffers.push(file ? await file.arrayBuffer() : null);
+      if (!file) warnings.push("buffer '" + name + "' was not selected");
+    }
+  }
+  return { buffers: buffers, warnings: warnings };
+}
+
+// Expose helpers globally (non-module style to match project scripts)
+window.parseGLB = parseGLB;
+window.buildGLTF = buildGLTF;
+window.loadGLTFFiles = loadGLTFFiles;
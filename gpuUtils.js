@@ -45,6 +45,9 @@ async function initializeWebGPU(canvasId) {
   }
 
   const format = navigator.gpu.getPreferredCanvasFormat();
+  // float depth so reverse-Z projections (see MVnew.js) keep their precision
+  // advantage; render pipelines must use the same format
+  const depthFormat = "depth32float";
   // Resize helper: make the canvas backing store match CSS size * DPR
   function resizeCanvasToDisplaySize() {
     const dpr = window.devicePixelRatio || 1;
@@ -69,7 +72,7 @@ async function initializeWebGPU(canvasId) {
     // Create a depth texture for depth testing
     const depthTexture = device.createTexture({
       size: [canvas.width, canvas.height, 1],
-      format: "depth24plus",
+      format: depthFormat,
       usage: GPUTextureUsage.RENDER_ATTACHMENT,
     });
     return depthTexture;
@@ -97,6 +100,7 @@ async function initializeWebGPU(canvasId) {
     queue: device.queue,
     context,
     format,
+    depthFormat,
     getCurrentViews,
     configureContext,
     onResize,
@@ -0,0 +1,263 @@
+// Heightmap utilities
+// Load real elevation data and expose it as an elevation(x, z) function so
+// it flows through the same generateMesh() -> computeNormals() ->
+// interleaveVertexData() path as the analytic surfaces.
+//
+// A heightmap is { width, height, data } where `data` is a Float32Array of
+// width*height samples normalized to [0, 1], stored row by row (row 0 is
+// the -z edge of the terrain, column 0 the -x edge).
+//
+// parsePGM() and parseRawHeightfield() are pure JS (ArrayBuffer in,
+// heightmap out) so they can be exercised without a browser; only
+// loadHeightmapImage() depends on DOM image decoding.
+
+// Parse a PGM file: "P2" (ASCII) or "P5" (binary, 8-bit or 16-bit
+// big-endian samples as per the netpbm spec). `#` comments are allowed
+// anywhere in the header and are returned as `comments` (text after the
+// '#', one string per line).
+function parsePGM(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  let pos = 0;
+  const comments = [];
+
+  // read the next whitespace-delimited header token, skipping comments
+  function nextToken() {
+    while (pos < bytes.length) {
+      const c = bytes[pos];
+      if (c === 0x23) {
+        // '#': comment until end of line
+        const start = pos + 1;
+        while (pos < bytes.length && bytes[pos] !== 0x0a) pos++;
+        comments.push(
+          String.fromCharCode.apply(null, bytes.subarray(start, pos)).trim()
+        );
+      } else if (c === 0x20 || (c >= 0x09 && c <= 0x0d)) {
+        pos++;
+      } else {
+        break;
+      }
+    }
+    const start = pos;
+    while (
+      pos < bytes.length &&
+      !(bytes[pos] === 0x20 || (bytes[pos] >= 0x09 && bytes[pos] <= 0x0d))
+    ) {
+      pos++;
+    }
+    if (start === pos) throw new Error("parsePGM: unexpected end of file");
+    return String.fromCharCode.apply(null, bytes.subarray(start, pos));
+  }
+  function nextInt(what, min = 1) {
+    const token = nextToken();
+    const value = parseInt(token, 10);
+    if (!/^\d+$/.test(token) || value < min) {
+      throw new Error("parsePGM: invalid " + what + " '" + token + "'");
+    }
+    return value;
+  }
+
+  const magic = nextToken();
+  if (magic !== "P2" && magic !== "P5") {
+    throw new Error("parsePGM: unsupported format '" + magic + "'");
+  }
+  const width = nextInt("width");
+  const height = nextInt("height");
+  const maxValue = nextInt("maxval");
+  if (maxValue > 65535) throw new Error("parsePGM: maxval exceeds 65535");
+
+  const count = width * height;
+  const data = new Float32Array(count);
+  // samples above maxval are invalid; clamp them so data stays in [0, 1]
+  const sample = (v) => Math.min(v, maxValue) / maxValue;
+  if (magic === "P2") {
+    for (let i = 0; i < count; ++i) data[i] = sample(nextInt("sample", 0));
+    return { width: width, height: height, data: data, comments: comments };
+  }
+
+  // P5: exactly one whitespace byte separates the header from the samples
+  pos++;
+  const bytesPerSample = maxValue < 256 ? 1 : 2;
+  if (bytes.length - pos < count * bytesPerSample) {
+    throw new Error("parsePGM: file is truncated");
+  }
+  for (let i = 0; i < count; ++i) {
+    const v =
+      bytesPerSample === 1
+        ? bytes[pos + i]
+        : (bytes[pos + 2 * i] << 8) | bytes[pos + 2 * i + 1];
+    data[i] = sample(v);
+  }
+  return { width: width, height: height, data: data, comments: comments };
+}
+
+// Encode a heightmap as a 16-bit binary PGM ("P5", maxval 65535), the
+// lossless-enough format parsePGM() reads back. `comments` are written into
+// the header, one "# ..." line each.
+function heightmapToPGM(heightmap, comments = []) {
+  const { width, height, data } = heightmap;
+  const header =
+    "P5\n" +
+    comments.map((c) => "# " + c + "\n").join("") +
+    width +
+    " " +
+    height +
+    "\n65535\n";
+  const bytes = new Uint8Array(header.length + 2 * width * height);
+  for (let i = 0; i < header.length; ++i) bytes[i] = header.charCodeAt(i);
+  for (let i = 0; i < width * height; ++i) {
+    const v = Math.round(Math.min(Math.max(data[i], 0), 1) * 65535);
+    bytes[header.length + 2 * i] = v >> 8;
+    bytes[header.length + 2 * i + 1] = v & 0xff;
+  }
+  return bytes;
+}
+
+// Terrain settings stored in a heightmap's PGM comments by the sculpt
+// export, e.g. "terrain size=25 step=0.1 offset=-6.2 heightScale=3.1".
+// Returns { size, step, offset, heightScale } (only the keys present) or
+// null when there is no such comment.
+function heightmapTerrainSettings(heightmap) {
+  const line = (heightmap.comments || []).find((c) => /^terrain\s/.test(c));
+  if (!line) return null;
+  const settings = {};
+  const pattern = /(\w+)=(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line))) {
+    const value = parseFloat(match[2]);
+    if (
+      ["size", "step", "offset", "heightScale"].includes(match[1]) &&
+      isFinite(value)
+    ) {
+      settings[match[1]] = value;
+    }
+  }
+  return settings;
+}
+
+// Parse a headerless 16-bit heightfield (.raw/.r16). Without explicit
+// dimensions the field must be square. Options:
+// - width, height: sample counts (default: square root of sample count)
+// - littleEndian: byte order (default true, as written by most tools)
+// - signed: interpret samples as int16 instead of uint16
+function parseRawHeightfield(arrayBuffer, options = {}) {
+  const littleEndian = options.littleEndian !== false;
+  const signed = !!options.signed;
+  const count = Math.floor(arrayBuffer.byteLength / 2);
+  if (arrayBuffer.byteLength % 2 !== 0) {
+    throw new Error("parseRawHeightfield: byte length is not a multiple of 2");
+  }
+  let width = options.width;
+  let height = options.height;
+  if (!width || !height) {
+    const side = Math.round(Math.sqrt(count));
+    if (side * side !== count) {
+      throw new Error(
+        "parseRawHeightfield: " +
+          count +
+          " samples is not a square; specify width and height"
+      );
+    }
+    width = side;
+    height = side;
+  }
+  if (width * height !== count) {
+    throw new Error(
+      "parseRawHeightfield: expected " +
+        width * height +
+        " samples, file has " +
+        count
+    );
+  }
+  const view = new DataView(arrayBuffer);
+  const data = new Float32Array(count);
+  for (let i = 0; i < count; ++i) {
+    data[i] = signed
+      ? (view.getInt16(2 * i, littleEndian) + 32768) / 65535
+      : view.getUint16(2 * i, littleEndian) / 65535;
+  }
+  return { width: width, height: height, data: data };
+}
+
+// Decode a PNG/JPEG (File, Blob or URL) into a heightmap using the Rec. 709
+// luminance of each pixel. Browser only.
+async function loadHeightmapImage(source) {
+  let blob = source;
+  if (typeof source === "string") {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(
+        "Could not load " + source + " (HTTP " + response.status + ")"
+      );
+    }
+    blob = await response.blob();
+  }
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0);
+  const pixels = ctx.getImageData(0, 0, bitmap.width, bitmap.height).data;
+  const data = new Float32Array(bitmap.width * bitmap.height);
+  for (let i = 0; i < data.length; ++i) {
+    data[i] =
+      (0.2126 * pixels[4 * i] +
+        0.7152 * pixels[4 * i + 1] +
+        0.0722 * pixels[4 * i + 2]) /
+      255;
+  }
+  return { width: bitmap.width, height: bitmap.height, data: data };
+}
+
+// Load a heightmap from a File, choosing the parser by extension. Raw files
+// may encode their dimensions in the name, e.g. "crater_513x257.r16".
+async function loadHeightmapFile(file) {
+  const name = file.name.toLowerCase();
+  if (name.endsWith(".pgm")) return parsePGM(await file.arrayBuffer());
+  if (name.endsWith(".raw") || name.endsWith(".r16")) {
+    const dims = /(\d+)x(\d+)/.exec(name);
+    return parseRawHeightfield(
+      await file.arrayBuffer(),
+      dims ? { width: +dims[1], height: +dims[2] } : {}
+    );
+  }
+  return loadHeightmapImage(file);
+}
+
+// Bilinearly sample a heightmap at normalized coordinates u, v in [0, 1]
+// (clamped), so the map can be resampled to any grid resolution.
+function sampleHeightmap(heightmap, u, v) {
+  const { width, height, data } = heightmap;
+  const fx = Math.min(Math.max(u, 0), 1) * (width - 1);
+  const fy = Math.min(Math.max(v, 0), 1) * (height - 1);
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const tx = fx - x0;
+  const ty = fy - y0;
+  const top = data[y0 * width + x0] * (1 - tx) + data[y0 * width + x1] * tx;
+  const bottom = data[y1 * width + x0] * (1 - tx) + data[y1 * width + x1] * tx;
+  return top * (1 - ty) + bottom * ty;
+}
+
+// Build an elevation(x, z) function that stretches the heightmap over a
+// square of side `size` centered on the origin and scales samples by
+// `verticalScale`.
+function heightmapElevation(heightmap, size, verticalScale) {
+  return function (x, z) {
+    const u = x / size + 0.5;
+    const v = z / size + 0.5;
+    return sampleHeightmap(heightmap, u, v) * verticalScale;
+  };
+}
+
+// Expose helpers globally (non-module style to match project scripts)
+window.parsePGM = parsePGM;
+window.heightmapToPGM = heightmapToPGM;
+window.heightmapTerrainSettings = heightmapTerrainSettings;
+window.parseRawHeightfield = parseRawHeightfield;
+window.loadHeightmapImage = loadHeightmapImage;
+window.loadHeightmapFile = loadHeightmapFile;
+window.sampleHeightmap = sampleHeightmap;
+window.heightmapElevation = heightmapElevation;
@@ -0,0 +1,112 @@
+// Command history
+// Linear undo/redo over commands of the form { label, undo(), redo(), key }.
+// A command is recorded after its change has been made; undo() reverts it
+// and redo() makes it again. Consecutive commands with the same `key` (a
+// slider being dragged, say) merge into one step, keeping the first undo()
+// and the last redo(), until seal() ends the step, so a whole drag undoes
+// at once. Recording a command after some undos drops the undone steps,
+// and only the newest `limit` steps are kept.
+
+// Default number of steps kept.
+const HISTORY_LIMIT = 100;
+
+// Returns { record, seal, undo, redo, goTo, clear, steps, position }.
+// `onChange()` is called whenever the steps or the position change, for a
+// history list to redraw.
+function createCommandHistory(onChange = () => {}, limit = HISTORY_LIMIT) {
+  if (!(limit >= 1)) {
+    throw new Error("createCommandHistory: limit must be >= 1");
+  }
+  // steps[0 .. position) are done, steps[position ..) undone
+  let steps = [];
+  let position = 0;
+  // key of the last step while it can still absorb commands
+  let openKey = null;
+  // set while undo()/redo() run, so changes they make are not recorded
+  let replaying = false;
+
+  function record(command) {
+    if (replaying) return;
+    steps.length = position;
+    const last = steps[position - 1];
+    if (last && command.key !== undefined && command.key === openKey) {
+      last.label = command.label;
+      last.redo = command.redo;
+    } else {
+      steps.push({
+        label: command.label,
+        undo: command.undo,
+        redo: command.redo,
+      });
+      if (steps.length > limit) steps.shift();
+      position = steps.length;
+    }
+    openKey = command.key === undefined ? null : command.key;
+    onChange();
+  }
+
+  function seal() {
+    openKey = null;
+  }
+
+  function replay(fn) {
+    openKey = null;
+    replaying = true;
+    try {
+      fn();
+    } finally {
+      replaying = false;
+    }
+  }
+
+  // Each returns false when there is nothing to undo or redo.
+  function undo() {
+    if (position === 0) return false;
+    replay(() => steps[position - 1].undo());
+    position -= 1;
+    onChange();
+    return true;
+  }
+
+  function redo() {
+    if (position === steps.length) return false;
+    replay(() => steps[position].redo());
+    position += 1;
+    onChange();
+    return true;
+  }
+
+  // Undo or redo until `target` steps are done (0 is before the first).
+  function goTo(target) {
+    target = Math.min(Math.max(target, 0), steps.length);
+    while (position > target) undo();
+    while (position < target) redo();
+  }
+
+  function clear() {
+    steps = [];
+    position = 0;
+    openKey = null;
+    onChange();
+  }
+
+  return {
+    record: record,
+    seal: seal,
+    undo: undo,
+    redo: redo,
+    goTo: goTo,
+    clear: clear,
+    // labels of all steps, oldest first
+    steps: function () {
+      return steps.map((step) => step.label);
+    },
+    // number of steps currently done
+    position: function () {
+      return position;
+    },
+  };
+}
+
+// Expose helpers globally (non-module style to match project scripts)
+window.createCommandHistory = createCommandHistory;
@@ -10,44 +10,348 @@ let queue = null;
 let format = null;
 let context = null;
 
-// scene / camera / lighting state (kept minimal for Phong demo)
-let near = 0.1;
-let far = 100.0;
-
-//let lightPosition = vec4(5.0, 10.0, 5.0, 1.0);
-let lightAmbient = vec4(0.3, 0.3, 0.3, 1.0);
-let lightDiffuse = vec4(1.0, 1.0, 1.0, 1.0);
-let lightSpecular = vec4(1.0, 1.0, 1.0, 1.0);
-
-let materialAmbient = vec4(0.1, 0.1, 0.3, 1.0);
-let materialDiffuse = vec4(0.2, 0.2, 0.6, 1.0);
-let materialSpecular = vec4(0.8, 0.8, 0.8, 1.0);
-let materialShininess = 50.0;
-
-// gui-controlled values
-let camX = 13;
-let camY = 7;
-let camZ = -11;
-
-let lightX = 2;
-let lightY = 4;
-let lightZ = 2;
-
-// model / view / projection
-let modelViewMatrix, projectionMatrix;
-let eye;
-const at = vec3(0.0, 0.0, 0.0);
-const up = vec3(0.0, 1.0, 0.0);
+// Camera controllers selectable at runtime (cameraControls.js). Both move
+// the camera's eye and target, so switching keeps the camera where it is.
+const cameraModes = {
+  orbit: { label: "Orbit", create: createOrbitControls },
+  fly: { label: "Fly (click to look, WASD/QE)", create: createFlyControls },
+};
+// the active controller, applied once per frame by render()
+let cameraControls = null;
+
+// Depth mappings selectable from the Shading controls (see setDepthMode()).
+// `reverse` maps near to depth 1 and far to 0, which with the float depth
+// buffer keeps precision far out over large terrains; `infinite` drops the
+// far plane altogether.
+const depthModes = {
+  standard: { label: "Standard", reverse: false, infinite: false },
+  reverseZ: { label: "Reverse-Z", reverse: true, infinite: false },
+  infinite: { label: "Infinite far", reverse: false, infinite: true },
+  reverseZInfinite: {
+    label: "Reverse-Z, infinite far",
+    reverse: true,
+    infinite: true,
+  },
+};
+
+// Everything that describes what is shown, in the shape of a scene
+// document (see sceneSchema in sceneUtils.js for the fields and defaults):
+// - camera: eye and target ([x,y,z] arrays, moved in place by the camera
+//   controllers), fovy, near/far and the controls mode (a key of
+//   cameraModes)
+// - bookmarks, flyThrough: named poses and the keyframed path
+//   (cameraPathUtils.js)
+// - lights[0]: position and colors; material: the terrain's material
+// - render: shading, LOD, culling, depth mode (a key of depthModes) and
+//   whether the terrain is drawn
+// - terrain: the terrain descriptor (geometryUtils.js::defaultTerrain)
+// The controls edit it in place and loadScene() replaces it. A loaded
+// document's meshes become `models` (below), leaving scene.meshes empty;
+// saveScene() writes the models back out.
+let scene = defaultScene(); // sceneUtils.js
+
+// fly-through playback: seconds along scene.flyThrough, advanced by
+// render() while playing
+const pathPlayback = { playing: false, time: 0 };
+
+// terrain sculpting: dragging on the canvas applies sculptBrush (see
+// sculptUtils.js::defaultBrush) while enabled
+let sculptEnabled = false;
+let sculptBrush = Object.assign({}, defaultBrush);
+
+// Parameters kept in the URL hash and localStorage (stateUtils.js), so a
+// reload or a shared link restores the same view. The setters only assign
+// state; whoever applies a saved state rebuilds what depends on it (see
+// restoreSavedState()). Ranges match the controls panel's; sculpted heights
+// and loaded heightmaps or models are not part of it.
+function vectorParam(key, min, max, get, set) {
+  return {
+    key: key,
+    type: "vector",
+    min: min,
+    max: max,
+    get: get,
+    set: set,
+  };
+}
+
+function terrainParam(key, options) {
+  return Object.assign(
+    {
+      key: key,
+      get: () => scene.terrain[key],
+      set: (v) => {
+        scene.terrain[key] = v;
+      },
+    },
+    options
+  );
+}
+
+function noiseParam(key, options) {
+  return Object.assign(
+    {
+      key: "noise." + key,
+      get: () => scene.terrain.noise[key],
+      set: (v) => {
+        scene.terrain.noise = Object.assign({}, scene.terrain.noise, {
+          [key]: v,
+        });
+      },
+    },
+    options
+  );
+}
+
+// eye and target are saved separately but only usable together: check the
+// pose they make with the other, decoded or else current
+function checkSavedPose(eye, target) {
+  const problem = viewPoseProblem(eye, target); // cameraPathUtils.js
+  if (problem) throw new Error(problem);
+}
+
+const persistedParams = [
+  Object.assign(
+    vectorParam(
+      "eye",
+      -1e4,
+      1e4,
+      () => scene.camera.eye,
+      (v) => {
+        scene.camera.eye = v;
+      }
+    ),
+    {
+      validate: (v, values) =>
+        checkSavedPose(v, values.target || scene.camera.target),
+    }
+  ),
+  Object.assign(
+    vectorParam(
+      "target",
+      -1e4,
+      1e4,
+      () => scene.camera.target,
+      (v) => {
+        scene.camera.target = v;
+      }
+    ),
+    {
+      validate: (v, values) =>
+        checkSavedPose(values.eye || scene.camera.eye, v),
+    }
+  ),
+  {
+    key: "camera",
+    type: "choice",
+    options: () => Object.keys(cameraModes),
+    get: () => scene.camera.controls,
+    set: (v) => {
+      scene.camera.controls = v;
+    },
+  },
+  vectorParam(
+    "light",
+    -1e4,
+    1e4,
+    () => scene.lights[0].position,
+    (v) => {
+      scene.lights[0].position = v;
+    }
+  ),
+  vectorParam(
+    "lightAmbient",
+    0,
+    1,
+    () => scene.lights[0].ambient,
+    (v) => {
+      scene.lights[0].ambient = v;
+    }
+  ),
+  vectorParam(
+    "lightDiffuse",
+    0,
+    1,
+    () => scene.lights[0].diffuse,
+    (v) => {
+      scene.lights[0].diffuse = v;
+    }
+  ),
+  vectorParam(
+    "lightSpecular",
+    0,
+    1,
+    () => scene.lights[0].specular,
+    (v) => {
+      scene.lights[0].specular = v;
+    }
+  ),
+  vectorParam(
+    "materialAmbient",
+    0,
+    1,
+    () => scene.material.ambient,
+    (v) => {
+      scene.material.ambient = v;
+    }
+  ),
+  vectorParam(
+    "materialDiffuse",
+    0,
+    1,
+    () => scene.material.diffuse,
+    (v) => {
+      scene.material.diffuse = v;
+    }
+  ),
+  vectorParam(
+    "materialSpecular",
+    0,
+    1,
+    () => scene.material.specular,
+    (v) => {
+      scene.material.specular = v;
+    }
+  ),
+  {
+    key: "shininess",
+    type: "number",
+    min: 1,
+    max: 200,
+    get: () => scene.material.shininess,
+    set: (v) => {
+      scene.material.shininess = v;
+    },
+  },
+  {
+    key: "smooth",
+    type: "boolean",
+    get: () => scene.render.smoothShading,
+    set: (v) => {
+      scene.render.smoothShading = v;
+    },
+  },
+  {
+    key: "lod",
+    type: "boolean",
+    get: () => scene.render.terrainLOD,
+    set: (v) => {
+      scene.render.terrainLOD = v;
+    },
+  },
+  {
+    key: "culling",
+    type: "boolean",
+    get: () => scene.render.frustumCulling,
+    set: (v) => {
+      scene.render.frustumCulling = v;
+    },
+  },
+  {
+    key: "depth",
+    type: "choice",
+    options: () => Object.keys(depthModes),
+    get: () => scene.render.depthMode,
+    set: (v) => {
+      scene.render.depthMode = v;
+    },
+  },
+  {
+    key: "showTerrain",
+    type: "boolean",
+    get: () => scene.render.showTerrain,
+    set: (v) => {
+      scene.render.showTerrain = v;
+    },
+  },
+  terrainParam("elevation", {
+    type: "choice",
+    options: () => Object.keys(elevationPresets), // geometryUtils.js
+    validate: (v) => {
+      if (v === "heightmap") {
+        throw new Error("heightmaps are not saved, load the file again");
+      }
+    },
+  }),
+  terrainParam("expression", {
+    type: "text",
+    maxLength: 1000,
+    validate: (v) => compileExpression(v), // expressionUtils.js
+  }),
+  terrainParam("size", { type: "number", min: 1, max: 200 }),
+  terrainParam("step", { type: "number", min: 0.01, max: 5 }),
+  terrainParam("offset", { type: "number", min: -50, max: 50 }),
+  terrainParam("heightScale", { type: "number", min: -100, max: 100 }),
+  noiseParam("basis", { type: "choice", options: ["perlin", "simplex"] }),
+  noiseParam("seed", { type: "number", integer: true }),
+  noiseParam("octaves", { type: "number", integer: true, min: 1, max: 16 }),
+  noiseParam("lacunarity", { type: "number", min: 1, max: 4 }),
+  noiseParam("gain", { type: "number", min: 0, max: 1 }),
+  noiseParam("frequency", { type: "number", min: 0.01, max: 2 }),
+  noiseParam("amplitude", { type: "number", min: 0, max: 50 }),
+  noiseParam("warp", { type: "number", min: 0, max: 20 }),
+];
+// localStorage entry holding the last session's encodeState() text
+const SAVED_STATE_KEY = "phongLightingModular.state";
+// problems found in the saved state at startup, shown in the controls
+let savedStateErrors = [];
+
+// model / view / projection, as typed-array mat4f/vec3f (MVnew.js) updated
+// in place by updateCamera() so the render loop allocates nothing
+const modelViewMatrix = mat4f();
+const projectionMatrix = mat4f();
+const eye = vec3f();
+const up = vec3f(0.0, 1.0, 0.0);
+// projectionMatrix * modelViewMatrix and its planes, refreshed per frame
+const viewProjectionMatrix = mat4f();
+const frustum = createFrustum();
+// draws encoded / skipped by culling in the last frame (terrain chunks and
+// models count one each)
+const cullStats = { drawn: 0, culled: 0 };
 
 // GPU resources
 let vertexBufferGPU = null;
 let uniformBuffer = null;
+let uniformData = null;
 let pipeline = null;
+let pipelineLayout = null;
+let vertexModule = null;
+let fragmentModule = null;
 let bindGroup = null;
 let vertexCount = 0;
+let indexedVertexBufferGPU = null;
+let indexBufferGPU = null;
+let indexFormat = "uint32";
+let indexCount = 0;
+let terrainLOD = null;
+// CPU copies of the terrain last uploaded by rebuildTerrain(), kept for
+// export and picking: { soup (generateMesh() output), flat: { p, n },
+// indexed: { positions, normals, indices, cols } }
+let terrainGeometry = null;
+let bindGroupLayout = null;
+// imported/generated meshes drawn after the terrain, each with its own
+// material and therefore its own uniform buffer + bind group
+let models = [];
+// BVH over the terrain triangles for picking (pickingUtils.js), built on
+// the first pick after each rebuild
+let terrainBVH = null;
+// model-space bounds of the terrain as last built (see boundsUtils.js)
+let terrainBounds = emptyBounds();
+// object "frame selection" fits into view: null, "terrain" or a model
+let selection = null;
 
 // Constants for uniform layout
 const FLOATS_PER_MAT4 = 16;
+const UNIFORM_FLOATS = 68;
+
+// scratch space reused by packUniforms()
+const scratch = {
+  modelView: mat4f(),
+  mvp: mat4f(),
+  normal: mat4f(),
+  light: vec4f(),
+  lightEye: vec4f(),
+};
 
 async function init() {
   // initialize WebGPU
@@ -86,47 +390,32 @@ async function init() {
   //   leaking internals; use local logging or temporary debugging helpers
   //   during development instead.
 
-  // generate terrain mesh and normals
-  const vertices = generateMesh(); // geometryUtils.js
-  const { p: positionsArray, n: normalsArray } = computeNormals(vertices); // geometryUtils.js
-
-  // interleave vertex data [x,y,z, nx,ny,nz]
-  const interleaved = interleaveVertexData(positionsArray, normalsArray);
-  vertexCount = interleaved.length / 6;
-
-  // Attribute/layout note:
-  // - In WebGL you'd call `gl.vertexAttribPointer(location, size, type, ... )`.
-  // - In WebGPU we declare `arrayStride` in bytes and `attributes` with
-  //   `shaderLocation` and format like 'float32x3'. These locations must
-  //   exactly match the `@location` annotations in the WGSL vertex shader.
-
-  // create GPU vertex buffer
-  vertexBufferGPU = createGPUVertexBuffer(
-    device,
-    interleaved,
-    GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST
-  );
+  // restore the shared link's or the last session's parameters, then
+  // generate terrain mesh and normals, upload vertex/index buffers
+  savedStateErrors = restoreSavedState(readSavedState());
 
-  // create uniform buffer (we'll pack modelView, projection, normalMatrix, light + material products, shininess)
-  // layout (floats): modelView(16), projection(16), normalMat4(16), lightPos(4), ambient(4), diffuse(4), specular(4), shininess+pad(4) = 68 floats
-  const uniformFloatCount = 68;
-  const uniformBufferSize = uniformFloatCount * 4;
-  uniformBuffer = createUniformBuffer(device, uniformBufferSize);
+  // create uniform buffer (we'll pack MVP, modelView, normalMatrix, light + material products, shininess)
+  // layout (floats): mvp(16), modelView(16), normalMat4(16), lightPos(4), ambient(4), diffuse(4), specular(4), shininess+pad(4) = 68 floats
+  uniformData = new Float32Array(UNIFORM_FLOATS);
+  uniformBuffer = createUniformBuffer(device, uniformData.byteLength);
 
   // Uniform buffer / packing notes:
   // - WebGPU requires explicit alignment and padding. We pack matrices as
   //   arrays of vec4 (16-byte aligned) to match WGSL's expected layout.
-  // - Flattening in this project produces column-major order so the JS
-  //   matrix multiplication and the WGSL `mat4x4<f32>` construction align.
-  // - Also note the projection correction we apply later -- WebGL uses
-  //   clip-space z in [-1,1], while WebGPU uses [0,1]; we adjust the
-  //   projection matrix accordingly before sending to the GPU.
+  // - The typed mat4f matrices (MVnew.js) are column-major, like the
+  //   output of `flatten`, so they are copied into the buffer as-is and
+  //   match the WGSL `mat4x4<f32>` construction.
+  // - WebGL uses clip-space z in [-1,1], while WebGPU uses [0,1]; the
+  //   projection is built for [0,1] directly (perspectiveZO/ReverseZ in
+  //   MVnew.js) and the pipeline's depth test follows `depthMode`.
 
   // create WGSL shader modules (production sources)
   const vertCode = window.wgslVertexSource || "";
   const fragCode = window.wgslFragmentSource || "";
   const vertModule = device.createShaderModule({ code: vertCode });
   const fragModule = device.createShaderModule({ code: fragCode });
+  vertexModule = vertModule;
+  fragmentModule = fragModule;
 
   // Try to fetch shader compilation info (may provide useful diagnostics in console)
   try {
@@ -170,7 +459,7 @@ async function init() {
   }
 
   // pipeline and bind group layout
-  const bindGroupLayout = device.createBindGroupLayout({
+  bindGroupLayout = device.createBindGroupLayout({
     entries: [
       {
         binding: 0,
@@ -180,14 +469,51 @@ async function init() {
     ],
   });
 
-  const pipelineLayout = device.createPipelineLayout({
+  pipelineLayout = device.createPipelineLayout({
     bindGroupLayouts: [bindGroupLayout],
   });
-  // create pipeline (production defaults)
-  pipeline = device.createRenderPipeline({
+  // create pipeline for the current depth mode
+  setDepthMode(scene.render.depthMode);
+
+  bindGroup = device.createBindGroup({
+    layout: bindGroupLayout,
+    entries: [{ binding: 0, resource: { buffer: uniformBuffer } }],
+  });
+
+  // camera controller for the current mode
+  setCameraMode(scene.camera.controls);
+
+  // wire up GUI and start
+  initControls(); // eventHandlers.js
+  // a link pasted into this tab only changes the hash
+  window.addEventListener("hashchange", () => {
+    const text = location.hash.slice(1);
+    if (text !== lastSavedState) applySavedState(text);
+  });
+  // catch changes made since the last periodic save
+  window.addEventListener("pagehide", saveState);
+
+  // a scene named in the URL replaces the defaults; a shared link's hash
+  // still applies on top of it
+  if (sceneURL) {
+    try {
+      await loadSceneURL(sceneURL);
+      if (location.hash.length > 1) applySavedState(location.hash.slice(1));
+    } catch (e) {
+      showSceneError(e.message); // eventHandlers.js
+    }
+  }
+
+  requestAnimationFrame(render);
+}
+
+// Render pipeline for the current depth mode: reverse-Z needs the opposite
+// depth test.
+function createPipeline() {
+  return device.createRenderPipeline({
     layout: pipelineLayout,
     vertex: {
-      module: vertModule,
+      module: vertexModule,
       entryPoint: "main",
       buffers: [
         {
@@ -200,7 +526,7 @@ async function init() {
       ],
     },
     fragment: {
-      module: fragModule,
+      module: fragmentModule,
       entryPoint: "main",
       targets: [{ format: format }],
     },
@@ -210,166 +536,863 @@ async function init() {
       cullMode: "none",
     },
     depthStencil: {
-      format: "depth24plus",
+      format: gpu.depthFormat,
       depthWriteEnabled: true,
-      depthCompare: "less",
+      depthCompare: depthModes[scene.render.depthMode].reverse
+        ? "greater"
+        : "less",
     },
   });
+}
 
-  bindGroup = device.createBindGroup({
-    layout: bindGroupLayout,
-    entries: [{ binding: 0, resource: { buffer: uniformBuffer } }],
-  });
+// Switch the depth mapping (a key of depthModes): the projection built by
+// updateCamera(), the pipeline's depth test and the depth clear value all
+// follow it.
+function setDepthMode(mode) {
+  if (!depthModes[mode]) throw new Error("setDepthMode: unknown mode " + mode);
+  scene.render.depthMode = mode;
+  pipeline = createPipeline();
+  const clearValue = depthModes[mode].reverse ? 0.0 : 1.0;
+  renderPassDescriptor.depthStencilAttachment.depthClearValue = clearValue;
+}
 
-  // wire up GUI and start
-  addEventListeners(); // eventHandlers.js
+// (Re)build the terrain from the current `terrain` descriptor and swap the
+// GPU buffers used by render(). Called once from init() and again whenever
+// the terrain controls change. Throws (leaving the current buffers in
+// place) if the descriptor is invalid.
+function rebuildTerrain() {
+  // chunked mode: chunks are built lazily per frame from the eye position,
+  // so skip the full-resolution meshes (they may be far too large for the
+  // extents LOD mode is meant for)
+  if (scene.render.terrainLOD) {
+    const lod = createTerrainLOD(device, scene.terrain); // terrainLOD.js
+    if (terrainLOD) terrainLOD.destroy();
+    terrainLOD = lod;
+    [vertexBufferGPU, indexedVertexBufferGPU, indexBufferGPU].forEach(
+      (b) => b && b.destroy()
+    );
+    vertexBufferGPU = indexedVertexBufferGPU = indexBufferGPU = null;
+    vertexCount = indexCount = 0;
+    terrainGeometry = null;
+    terrainBounds = lod.bounds;
+    terrainBVH = null;
+    return;
+  }
+  if (terrainLOD) {
+    terrainLOD.destroy();
+    terrainLOD = null;
+  }
 
-  requestAnimationFrame(render);
+  // generate terrain mesh and normals
+  const vertices = generateMesh(scene.terrain); // geometryUtils.js
+  const { p: positionsArray, n: normalsArray } = computeNormals(vertices); // geometryUtils.js
+
+  // interleave vertex data [x,y,z, nx,ny,nz]
+  const interleaved = interleaveVertexData(positionsArray, normalsArray);
+
+  // Attribute/layout note:
+  // - In WebGL you'd call `gl.vertexAttribPointer(location, size, type, ... )`.
+  // - In WebGPU we declare `arrayStride` in bytes and `attributes` with
+  //   `shaderLocation` and format like 'float32x3'. These locations must
+  //   exactly match the `@location` annotations in the WGSL vertex shader.
+
+  // create GPU vertex buffer
+  const flatBuffer = createGPUVertexBuffer(
+    device,
+    interleaved,
+    GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST
+  );
+
+  // indexed terrain: shared vertices + smooth normals, drawn with
+  // drawIndexed(). The flat buffer above is kept so the GUI can switch back
+  // to the faceted look for comparison.
+  const mesh = generateIndexedMesh(scene.terrain); // geometryUtils.js
+  const smoothNormals = computeSmoothNormals(mesh.positions, mesh.indices); // geometryUtils.js
+  const smoothBuffer = createGPUVertexBuffer(
+    device,
+    interleaveVertexData(mesh.positions, smoothNormals),
+    GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST
+  );
+  const index = createGPUIndexBuffer(device, mesh.indices); // bufferUtils.js
+
+  // swap in the new buffers only once everything was built, then release
+  // the old ones. Work already submitted keeps its buffers alive until the
+  // GPU is done with them, so destroying here is safe mid-animation.
+  const old = [vertexBufferGPU, indexedVertexBufferGPU, indexBufferGPU];
+  vertexBufferGPU = flatBuffer;
+  vertexCount = interleaved.length / 6;
+  indexedVertexBufferGPU = smoothBuffer;
+  indexBufferGPU = index.buffer;
+  indexFormat = index.format;
+  indexCount = index.count;
+  old.forEach((b) => b && b.destroy());
+  terrainGeometry = {
+    soup: vertices,
+    flat: { p: positionsArray, n: normalsArray },
+    indexed: Object.assign({ normals: smoothNormals }, mesh),
+  };
+  terrainBounds = computeBounds(mesh.positions); // boundsUtils.js
+  terrainBVH = null;
 }
 
-function packUniforms() {
-  // compute matrices
-  eye = vec3(camX, camY, camZ);
-  modelViewMatrix = lookAt(eye, at, up);
-  const fovy = 60;
-  const aspect =
-    document.getElementById("gl-canvas").clientWidth /
-    document.getElementById("gl-canvas").clientHeight;
-  projectionMatrix = perspective(fovy, aspect, near, far);
-
-  // normal matrix as mat3 -> convert to mat4 layout for alignment
-  const nm3 = normalMatrix(modelViewMatrix, true); // returns 3x3
-  // build a 4x4 with last row/col set so memory layout matches mat4
-  let normalMat4 = mat4();
-  // copy nm3 into upper-left
-  // copy nm3 into upper-left
-  for (let r = 0; r < 3; ++r) {
-    for (let c = 0; c < 3; ++c) {
-      normalMat4[r][c] = nm3[r][c];
-    }
+// CPU mesh matching what is on screen, in a shape exportMesh() accepts. In
+// LOD mode there is no single mesh, so the full-resolution indexed terrain
+// is generated on demand.
+function currentTerrainMesh() {
+  if (!terrainGeometry) {
+    const mesh = generateIndexedMesh(scene.terrain); // geometryUtils.js
+    return Object.assign(
+      { normals: computeSmoothNormals(mesh.positions, mesh.indices) },
+      mesh
+    );
   }
+  return scene.render.smoothShading
+    ? terrainGeometry.indexed
+    : terrainGeometry.flat;
+}
 
-  // lighting
-  const lightPosition = vec4(lightX, lightY, lightZ, 0.0);
-  // transform light into eye-space so lighting calculations (which use
-  // positions in eye-space) are consistent when the camera moves.
-  const lightPositionEye = mult(modelViewMatrix, lightPosition);
-
-  // products
-  const ambientProduct = mult(lightAmbient, materialAmbient);
-  const diffuseProduct = mult(lightDiffuse, materialDiffuse);
-  const specularProduct = mult(lightSpecular, materialSpecular);
-
-  // pack into Float32Array in the same order as the WGSL struct
-  // We'll pack MVP (projection * modelView) into the first 16 floats so the
-  // vertex shader can read a single uniform matrix. The rest of the buffer
-  // keeps other data (normal matrix, light, products) in the same relative
-  // places as before so we don't need to change the whole layout yet.
-  const data = new Float32Array(68);
-  let offset = 0;
-
-  // compute MVP = projection * modelView
-  // Note: flatten produces column-major order compatible with mat4x4<f32>
-  const mView = new Float32Array(flatten(modelViewMatrix));
-  const mProj = new Float32Array(flatten(projectionMatrix));
-  // multiply mProj * mView (both column-major) -> result column-major
-  function mulMat4(a, b) {
-    const out = new Float32Array(16);
-    for (let r = 0; r < 4; ++r) {
-      for (let c = 0; c < 4; ++c) {
-        let sum = 0.0;
-        for (let k = 0; k < 4; ++k) {
-          // column-major: index = row + col*4
-          sum += a[r + k * 4] * b[k + c * 4];
-        }
-        out[r + c * 4] = sum;
-      }
+// Cast a ray through canvas pixel (x, y) (CSS pixels, from the top left)
+// against the terrain as currently viewed. Returns raycastBVH()'s
+// { point, distance, triangle, normal } or null when nothing is hit. In LOD
+// mode the full-resolution mesh is generated for the BVH.
+function pickTerrain(x, y) {
+  if (!scene.render.showTerrain) return null;
+  if (!terrainBVH) {
+    const soup = terrainGeometry
+      ? terrainGeometry.soup
+      : generateMesh(scene.terrain); // geometryUtils.js
+    terrainBVH = buildTriangleBVH(soup); // pickingUtils.js
+  }
+  const canvas = document.getElementById("gl-canvas");
+  const ray = screenToRay(
+    x,
+    y,
+    canvas.clientWidth,
+    canvas.clientHeight,
+    modelViewMatrix,
+    projectionMatrix
+  ); // pickingUtils.js
+  return raycastBVH(terrainBVH, ray.origin, ray.direction);
+}
+
+// One dab of sculptBrush under canvas pixel (x, y), `dt` seconds long.
+// `stroke` is state shared by the dabs of one drag: the first hit fixes the
+// height flatten pulls towards, and the stroke collects what undoing it
+// needs (see sculptStrokeUndo()). The CPU copies of the terrain are edited
+// in place and only the rows of the GPU vertex buffers that changed are
+// re-uploaded. Returns false when the cursor is off the terrain; throws in
+// LOD mode, where there is no full-resolution mesh to edit.
+function sculptTerrain(x, y, dt, stroke) {
+  if (!terrainGeometry) {
+    throw new Error("Sculpting needs the full-resolution terrain (LOD off)");
+  }
+  const hit = pickTerrain(x, y);
+  if (!hit) return false;
+  if (stroke.height === undefined) stroke.height = hit.point[1];
+  const grid = terrainGeometry.indexed;
+  if (!stroke.before) {
+    stroke.grid = grid;
+    stroke.before = readGridHeights(grid); // sculptUtils.js
+  }
+  const changed = applySculptBrush(
+    grid,
+    sculptBrush,
+    hit.point,
+    dt,
+    stroke.height
+  ); // sculptUtils.js
+  if (!changed) return false;
+  stroke.region = unionGridRegions(stroke.region, changed); // sculptUtils.js
+  updateSculptedRegion(changed);
+  return true;
+}
+
+// Bring normals, flat-shaded triangles, picking BVH, bounds and the GPU
+// buffers up to date after the heights in vertex `region` changed.
+function updateSculptedRegion(region) {
+  const grid = terrainGeometry.indexed;
+  const vertices = updateSculptNormals(grid, region); // sculptUtils.js
+  const quads = sculptQuadRegion(grid, region); // sculptUtils.js
+  const { soup, flat } = terrainGeometry;
+  updateSculptQuads(grid, soup, flat, quads); // sculptUtils.js
+  // only heights change, so the triangles that moved all lie over the x/z
+  // rectangle of the changed vertices; it is widened by one grid line on
+  // each side so that float32 node boxes touching its edge are not missed
+  const { i0, i1, j0, j1 } = region;
+  const last = grid.cols - 1;
+  const a =
+    grid.positions[Math.max(i0 - 1, 0) * grid.cols + Math.max(j0 - 1, 0)];
+  const b =
+    grid.positions[Math.min(i1 + 1, last) * grid.cols + Math.min(j1 + 1, last)];
+  if (terrainBVH) {
+    const xzRange = [
+      Math.min(a[0], b[0]),
+      Math.min(a[2], b[2]),
+      Math.max(a[0], b[0]),
+      Math.max(a[2], b[2]),
+    ];
+    refitTriangleBVH(terrainBVH, xzRange); // pickingUtils.js
+  }
+  // the bounds only grow while sculpting; a regenerated terrain resets them
+  const moved = [];
+  for (let i = i0; i <= i1; ++i) {
+    for (let j = j0; j <= j1; ++j) {
+      moved.push(grid.positions[i * grid.cols + j]);
     }
-    return out;
   }
+  terrainBounds = unionBounds([terrainBounds, computeBounds(moved)]); // boundsUtils.js
 
-  // Correct projection from WebGL (-1..1) to WebGPU (0..1) depth range by
-  // pre-multiplying with a correction matrix C so z' = 0.5*z + 0.5*w.
-  const C = new Float32Array([
-    1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0.5, 0, 0, 0, 0.5, 1,
-  ]);
-  const mProjCorr = mulMat4(C, mProj);
-  const mMVP = mulMat4(mProjCorr, mView);
-  for (let i = 0; i < 16; ++i) data[offset++] = mMVP[i];
-  // pack modelView (eye-space transform) so the shader can compute lighting
-  // in eye-space (modelView) while using mMVP for clip-space position.
-  for (let i = 0; i < 16; ++i) data[offset++] = mView[i];
-  // normalMatrix as mat4 (next 16 floats)
-  new Float32Array(flatten(normalMat4)).forEach((v) => {
-    data[offset++] = v;
-  });
-  // lightPosition (4 floats) -- pack eye-space light
-  new Float32Array(flatten(lightPositionEye)).forEach((v) => {
-    data[offset++] = v;
+  // 24 bytes per vertex; rows are contiguous in both buffers
+  for (let i = vertices.i0; i <= vertices.i1; ++i) {
+    queue.writeBuffer(
+      indexedVertexBufferGPU,
+      (i * grid.cols + vertices.j0) * 24,
+      gridRowVertices(grid, i, vertices.j0, vertices.j1) // sculptUtils.js
+    );
+  }
+  const n = grid.cols - 1;
+  for (let i = quads.i0; i <= quads.i1; ++i) {
+    queue.writeBuffer(
+      vertexBufferGPU,
+      (i * n + quads.j0) * 6 * 24,
+      flatQuadRowVertices(flat, n, i, quads.j0, quads.j1) // sculptUtils.js
+    );
+  }
+}
+
+// For a finished stroke (see sculptTerrain()), the heights of the region
+// it changed before and after it, as { grid, region, before, after }, or
+// null if it changed nothing.
+function sculptStrokeUndo(stroke) {
+  if (!stroke.region) return null;
+  const { i0, i1, j0, j1 } = stroke.region;
+  const cols = stroke.grid.cols;
+  const before = new Float32Array((i1 - i0 + 1) * (j1 - j0 + 1));
+  for (let i = i0; i <= i1; ++i) {
+    before.set(
+      stroke.before.subarray(i * cols + j0, i * cols + j1 + 1),
+      (i - i0) * (j1 - j0 + 1)
+    );
+  }
+  return {
+    grid: stroke.grid,
+    region: stroke.region,
+    before: before,
+    after: readGridHeights(stroke.grid, stroke.region), // sculptUtils.js
+  };
+}
+
+// Put back heights from sculptStrokeUndo(). A rebuilt terrain is a new
+// grid the stroke was never applied to, so then this does nothing.
+function setSculptedHeights(grid, region, heights) {
+  if (!terrainGeometry || terrainGeometry.indexed !== grid) return;
+  writeGridHeights(grid, region, heights); // sculptUtils.js
+  updateSculptedRegion(region);
+}
+
+// The terrain as a 16-bit PGM heightmap whose header records the size,
+// step, offset and height scale, so loading it back as a heightmap
+// (see eventHandlers.js) restores the sculpted terrain. Returns
+// { blob, fileName } like exportMesh().
+function exportTerrainHeightmap() {
+  const grid = terrainGeometry
+    ? terrainGeometry.indexed
+    : generateIndexedMesh(scene.terrain); // geometryUtils.js
+  const { heightmap, offset, heightScale } = gridToHeightmap(grid); // sculptUtils.js
+  const comment =
+    "terrain size=" +
+    scene.terrain.size +
+    " step=" +
+    scene.terrain.step +
+    " offset=" +
+    offset +
+    " heightScale=" +
+    heightScale;
+  return {
+    blob: new Blob([heightmapToPGM(heightmap, [comment])], {
+      type: "image/x-portable-graymap",
+    }), // heightmapUtils.js
+    fileName: "terrain.pgm",
+  };
+}
+
+// The terrain's material, already in the shape packUniforms() takes.
+function globalMaterial() {
+  return scene.material;
+}
+
+function canvasAspect() {
+  const canvas = document.getElementById("gl-canvas");
+  return canvas.clientWidth / canvas.clientHeight;
+}
+
+// Update eye, modelViewMatrix (the view matrix) and projectionMatrix (WebGPU
+// [0,1] depth, following the depth mode) from scene.camera. Called once per
+// frame before any packUniforms().
+function updateCamera() {
+  const camera = scene.camera;
+  vec3fSet(eye, camera.eye[0], camera.eye[1], camera.eye[2]);
+  mat4fLookAt(modelViewMatrix, eye, camera.target, up);
+  const aspect = canvasAspect();
+  const mode = depthModes[scene.render.depthMode];
+  fitDepthRange(camera);
+  const farPlane = mode.infinite ? Infinity : depthRange.far;
+  if (mode.reverse) {
+    mat4fPerspectiveReverseZ(
+      projectionMatrix,
+      camera.fovy,
+      aspect,
+      depthRange.near,
+      farPlane
+    );
+  } else {
+    mat4fPerspectiveZO(
+      projectionMatrix,
+      camera.fovy,
+      aspect,
+      depthRange.near,
+      farPlane
+    );
+  }
+}
+
+// near is kept at least this fraction of far, so depth precision is not
+// wasted on the few units in front of the eye
+const MIN_NEAR_RATIO = 1e-4;
+
+// near/far of the projection, set by fitDepthRange()
+const depthRange = { near: 0, far: 0 };
+
+// scene.camera's near/far widened to take in everything drawn as seen from
+// the camera, so dollying or flying away from the scene never pushes it
+// past the far plane. Runs every frame and allocates nothing.
+function fitDepthRange(camera) {
+  depthRange.near = camera.near;
+  depthRange.far = camera.far;
+  if (scene.render.showTerrain) {
+    includeBoundsDepth(depthRange, terrainBounds, camera.eye); // boundsUtils.js
+  }
+  for (let i = 0; i < models.length; ++i) {
+    includeBoundsDepth(depthRange, models[i].worldBounds, camera.eye); // boundsUtils.js
+  }
+  depthRange.near = Math.max(depthRange.near, depthRange.far * MIN_NEAR_RATIO);
+}
+
+// Pack the uniforms for one draw into `data` (a Float32Array of
+// UNIFORM_FLOATS, in the same order as the WGSL struct) and return it.
+// `material` defaults to the global material (used by the terrain);
+// `modelMatrix` (a mat4f) places a model in the world and defaults to
+// identity. Uses the camera from the last updateCamera() and allocates
+// nothing.
+function packUniforms(data, material = globalMaterial(), modelMatrix = null) {
+  const mv = modelMatrix
+    ? mat4fMult(scratch.modelView, modelViewMatrix, modelMatrix)
+    : modelViewMatrix;
+
+  // MVP first so the vertex shader reads a single matrix for clip space,
+  // then modelView (eye-space lighting) and the normal matrix, padded to a
+  // mat4 for alignment
+  data.set(mat4fMult(scratch.mvp, projectionMatrix, mv), 0);
+  data.set(mv, 16);
+  data.set(mat4fNormalMatrix(scratch.normal, mv), 32);
+
+  // light transformed into eye-space so lighting calculations (which use
+  // positions in eye-space) are consistent when the camera moves
+  const light = scene.lights[0];
+  const position = light.position;
+  vec4fSet(scratch.light, position[0], position[1], position[2], 0.0);
+  data.set(mat4fMultVec4(scratch.lightEye, modelViewMatrix, scratch.light), 48);
+
+  // ambient / diffuse / specular products; scene colors are rgb (loaded
+  // materials may carry an alpha, which the shader ignores)
+  for (let i = 0; i < 3; ++i) {
+    data[52 + i] = light.ambient[i] * material.ambient[i];
+    data[56 + i] = light.diffuse[i] * material.diffuse[i];
+    data[60 + i] = light.specular[i] * material.specular[i];
+  }
+  data[55] = data[59] = data[63] = 1.0;
+  // shininess + pad
+  data[64] = material.shininess;
+  data[65] = data[66] = data[67] = 0.0;
+  return data;
+}
+
+// Upload meshes (interleaved [x,y,z,nx,ny,nz] vertices + indices, as
+// produced by objLoader.js) and add them to the drawn models. Each gets its
+// own uniform buffer/bind group so its material can differ from the
+// terrain's. Returns the created models.
+function addModels(meshes, transform = null) {
+  const added = meshes.map((mesh) => {
+    const index = createGPUIndexBuffer(device, mesh.indices); // bufferUtils.js
+    const modelUniformData = new Float32Array(UNIFORM_FLOATS);
+    const modelUniformBuffer = createUniformBuffer(
+      device,
+      modelUniformData.byteLength
+    ); // gpuUtils.js
+    const modelTransform = mesh.transform || transform;
+    return {
+      name: mesh.name,
+      material: mesh.material,
+      // what saveScene() writes: the primitive's name, or the geometry
+      // itself (kept on the CPU for that)
+      source: mesh.primitive
+        ? { primitive: mesh.primitive }
+        : { vertices: mesh.vertices, indices: mesh.indices },
+      // mat4f model matrix (legacy mat4 transforms are converted), or null
+      transform: modelTransform ? toFloat32(modelTransform) : null,
+      vertexBuffer: createGPUVertexBuffer(device, mesh.vertices), // bufferUtils.js
+      indexBuffer: index.buffer,
+      indexFormat: index.format,
+      indexCount: index.count,
+      bounds: computeBounds(mesh.vertices), // boundsUtils.js, model space
+      // world-space bounds, derived from `bounds` and `transform`
+      worldBounds: null,
+      uniformData: modelUniformData,
+      uniformBuffer: modelUniformBuffer,
+      bindGroup: device.createBindGroup({
+        layout: bindGroupLayout,
+        entries: [{ binding: 0, resource: { buffer: modelUniformBuffer } }],
+      }),
+    };
   });
-  // ambientProduct
-  new Float32Array(flatten(ambientProduct)).forEach((v) => {
-    data[offset++] = v;
+  added.forEach(updateModelBounds);
+  models = models.concat(added);
+  showSelectionList(); // eventHandlers.js
+  return added;
+}
+
+// Mesh for a primitive of primitivePresets (primitiveUtils.js), tagged so
+// a saved scene regenerates it instead of storing its geometry.
+function primitiveMesh(type, name, material) {
+  const preset = primitivePresets[type];
+  const mesh = primitiveToMesh(preset.create(), name || preset.label, material); // primitiveUtils.js
+  mesh.primitive = type;
+  return mesh;
+}
+
+// Mesh to upload for a scene document's `meshes` entry.
+function sceneMeshToMesh(entry) {
+  const mesh = entry.primitive
+    ? primitiveMesh(entry.primitive, entry.name, entry.material)
+    : {
+        name: entry.name,
+        material: entry.material,
+        vertices: new Float32Array(entry.vertices),
+        indices: new Uint32Array(entry.indices),
+      };
+  if (entry.transform) mesh.transform = sceneTransformMatrix(entry.transform); // sceneUtils.js
+  return mesh;
+}
+
+// Meshes that addModels() turns back into the current models, for undo.
+// Primitives are generated again; imported geometry is reused.
+function modelMeshes() {
+  return models.map((model) => {
+    const mesh = model.source.primitive
+      ? primitiveMesh(model.source.primitive, model.name, model.material)
+      : {
+          name: model.name,
+          material: model.material,
+          vertices: model.source.vertices,
+          indices: model.source.indices,
+        };
+    if (model.transform) mesh.transform = model.transform;
+    return mesh;
   });
-  // diffuseProduct
-  new Float32Array(flatten(diffuseProduct)).forEach((v) => {
-    data[offset++] = v;
+}
+
+// Replace all models with `meshes`.
+function setModels(meshes) {
+  clearModels();
+  addModels(meshes);
+}
+
+// Remove all models and release their GPU buffers.
+function clearModels() {
+  models.forEach((model) => {
+    model.vertexBuffer.destroy();
+    model.indexBuffer.destroy();
+    model.uniformBuffer.destroy();
   });
-  // specularProduct
-  new Float32Array(flatten(specularProduct)).forEach((v) => {
-    data[offset++] = v;
+  models = [];
+  if (selection !== "terrain") selection = null;
+  showSelectionList(); // eventHandlers.js
+}
+
+// Refresh model.worldBounds; call whenever model.transform changes.
+function updateModelBounds(model) {
+  model.worldBounds = transformBounds(model.bounds, model.transform); // boundsUtils.js
+}
+
+// World-space bounds of "terrain" or a model.
+function objectBounds(object) {
+  return object === "terrain" ? terrainBounds : object.worldBounds;
+}
+
+// Frustum test for one draw in render(), counted in cullStats.
+function isVisible(bounds) {
+  if (!scene.render.frustumCulling || boundsInFrustum(frustum, bounds)) {
+    cullStats.drawn++;
+    return true;
+  }
+  cullStats.culled++;
+  return false;
+}
+
+// Bounds of everything drawn: the terrain (if shown) and all models.
+function sceneBounds() {
+  const objects = scene.render.showTerrain
+    ? ["terrain"].concat(models)
+    : models;
+  return unionBounds(objects.map(objectBounds)); // boundsUtils.js
+}
+
+// Move the camera so `bounds` fills the view, keeping the current viewing
+// direction, fovy and aspect ratio. near/far are fitted to everything
+// drawn, not just `bounds`, so framing one object does not clip the rest.
+function frameCamera(bounds) {
+  const camera = scene.camera;
+  const direction = [0, 1, 2].map((k) => camera.target[k] - camera.eye[k]);
+  const view = frameBounds(bounds, direction, camera.fovy, canvasAspect()); // boundsUtils.js
+  camera.eye = view.eye.slice();
+  camera.target = view.at.slice();
+  const range = includeBoundsDepth(
+    { near: view.near, far: view.far },
+    sceneBounds(),
+    view.eye
+  ); // boundsUtils.js
+  camera.far = range.far;
+  camera.near = Math.max(range.near, range.far * MIN_NEAR_RATIO);
+  syncCameraControls(); // eventHandlers.js
+}
+
+// Render pass descriptor reused every frame; render() only swaps in the
+// current views (setDepthMode() sets the depth clear value).
+const renderPassDescriptor = {
+  colorAttachments: [
+    {
+      view: null,
+      clearValue: {
+        r: 0.1,
+        g: 0.1,
+        b: 0.1,
+        a: 1.0,
+      },
+      loadOp: "clear",
+      storeOp: "store",
+    },
+  ],
+  depthStencilAttachment: {
+    view: null,
+    depthClearValue: 1.0,
+    depthLoadOp: "clear",
+    depthStoreOp: "store",
+  },
+};
+
+// Replace the camera controller with the one for `mode` (a key of
+// cameraModes). The pose is untouched.
+function setCameraMode(mode) {
+  if (!cameraModes[mode]) {
+    throw new Error("setCameraMode: unknown mode '" + mode + "'");
+  }
+  if (cameraControls) cameraControls.dispose();
+  scene.camera.controls = mode;
+  cameraControls = cameraModes[mode].create(
+    document.getElementById("gl-canvas"),
+    {
+      // a left drag belongs to the sculpt brush while sculpting;
+      // shift/right drags still pan
+      canStart: (event) =>
+        !(sculptEnabled && event.button === 0 && !event.shiftKey),
+    }
+  ); // cameraControls.js
+}
+
+// The camera as { eye, target } ([x,y,z] arrays), the pose format of
+// cameraPathUtils.js.
+function currentCameraPose() {
+  return {
+    eye: scene.camera.eye.slice(),
+    target: scene.camera.target.slice(),
+  };
+}
+
+// Move the camera to `pose` ({ eye, target }) and update the controls.
+function setCameraPose(pose) {
+  scene.camera.eye = pose.eye.slice();
+  scene.camera.target = pose.target.slice();
+  syncCameraControls(); // eventHandlers.js
+}
+
+// Advance a playing fly-through by `dt` seconds and move the camera onto
+// the path. Stops at the end unless the path loops.
+function updatePathPlayback(dt) {
+  if (!pathPlayback.playing) return;
+  const duration = cameraPathDuration(scene.flyThrough.keyframes); // cameraPathUtils.js
+  let time = pathPlayback.time + dt;
+  if (time >= duration) {
+    if (scene.flyThrough.loop && duration > 0) {
+      time %= duration;
+    } else {
+      time = duration;
+      pathPlayback.playing = false;
+    }
+  }
+  pathPlayback.time = time;
+  const pose = sampleCameraPath(scene.flyThrough.keyframes, time); // cameraPathUtils.js
+  if (pose) setCameraPose(pose);
+  showPathPlayback(); // eventHandlers.js
+}
+
+// Apply the motion the camera controller queued since the last frame to
+// scene.camera (its { eye, target, fovy } is what the controllers take),
+// `dt` seconds after it.
+function updateCameraControls(dt) {
+  if (!cameraControls) return;
+  if (!cameraControls.update(dt, scene.camera)) return;
+  syncCameraControls(); // eventHandlers.js
+}
+
+// The scene as a scene document (sceneUtils.js), as { blob, fileName } like
+// the exporters. The terrain is saved as its descriptor, so sculpted
+// heights are not included; export those as a heightmap first.
+function saveScene() {
+  const rgb = (color) => [color[0], color[1], color[2]];
+  const meshes = models.map((model) =>
+    Object.assign(
+      { name: model.name || "" },
+      model.source,
+      model.transform ? { transform: sceneTransform(model.transform) } : {}, // sceneUtils.js
+      {
+        // loaded materials are vec4s
+        material: {
+          ambient: rgb(model.material.ambient),
+          diffuse: rgb(model.material.diffuse),
+          specular: rgb(model.material.specular),
+          shininess: model.material.shininess,
+        },
+      }
+    )
+  );
+  // loaded heightmaps also carry their file's comments
+  const heightmap = scene.terrain.heightmap;
+  const terrain = Object.assign({}, scene.terrain, {
+    heightmap: heightmap
+      ? {
+          width: heightmap.width,
+          height: heightmap.height,
+          data: heightmap.data,
+        }
+      : undefined,
   });
-  // shininess + pad
-  data[offset++] = materialShininess;
-  data[offset++] = 0.0;
-  data[offset++] = 0.0;
-  data[offset++] = 0.0;
-  return data;
+  const text = stringifyScene(
+    Object.assign({}, scene, { terrain: terrain }),
+    meshes
+  ); // sceneUtils.js
+  return {
+    blob: new Blob([text], { type: "application/json" }),
+    fileName: "scene.json",
+  };
+}
+
+// Replace the scene, models included, with a scene document's (JSON text).
+// Throws, keeping the current scene, if the document is invalid (the error
+// lists each problem with its path) or its terrain does not build.
+function loadScene(text) {
+  const next = parseScene(text); // sceneUtils.js
+  // from here on the models are the meshes
+  const meshes = next.meshes.map(sceneMeshToMesh);
+  next.meshes = [];
+  setScene(next, meshes);
+}
+
+// Make `next` (a resolved scene) the scene and `meshes` the models, as for
+// loadScene() and undoing it. Throws, keeping the current scene, if its
+// terrain does not build.
+function setScene(next, meshes) {
+  const previous = scene;
+  scene = next;
+  try {
+    rebuildTerrain();
+  } catch (e) {
+    scene = previous;
+    rebuildTerrain();
+    throw e;
+  }
+  setModels(meshes);
+  pathPlayback.playing = false;
+  pathPlayback.time = 0;
+  setDepthMode(scene.render.depthMode);
+  setCameraMode(scene.camera.controls);
+  refreshControls(); // eventHandlers.js
+}
+
+// Fetch and load the scene document at `url` (see loadScene()).
+async function loadSceneURL(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(
+      "Could not load " + url + " (HTTP " + response.status + ")"
+    );
+  }
+  loadScene(await response.text());
+}
+
+// a scene document to load at startup, from the page's ?scene= parameter
+const sceneURL = new URLSearchParams(location.search).get("scene");
+
+// The saved state to start from: a shared link's hash, or else the one
+// the last session left in localStorage.
+function readSavedState() {
+  if (location.hash.length > 1) return location.hash.slice(1);
+  // a scene named in the URL starts from that scene instead
+  if (sceneURL) return "";
+  try {
+    return localStorage.getItem(SAVED_STATE_KEY) || "";
+  } catch (e) {
+    // storage disabled (e.g. some private modes): start from defaults
+    return "";
+  }
+}
+
+// Apply saved-state text (stateUtils.js) to the persisted parameters and
+// rebuild the terrain from them, falling back to the default terrain if
+// the combination does not build. Returns the problems found, one message
+// each; invalid parameters keep their current values.
+function restoreSavedState(text) {
+  const { values, errors } = decodeState(persistedParams, text); // stateUtils.js
+  applyState(persistedParams, values); // stateUtils.js
+  try {
+    rebuildTerrain();
+  } catch (e) {
+    errors.push(e.message + ", using the default terrain");
+    scene.terrain = defaultScene().terrain; // sceneUtils.js
+    rebuildTerrain();
+  }
+  lastSavedState = text;
+  return errors;
+}
+
+// restoreSavedState() once the app is running: also recreate the pipeline
+// and camera controller and update the controls.
+function applySavedState(text) {
+  savedStateErrors = restoreSavedState(text);
+  setDepthMode(scene.render.depthMode);
+  setCameraMode(scene.camera.controls);
+  refreshControls(); // eventHandlers.js
+}
+
+// encodeState() text last written to the hash and localStorage, and the
+// time (ms) render() next checks for changes
+let lastSavedState = null;
+let nextStateSave = 0;
+const STATE_SAVE_INTERVAL = 500;
+// cleared by resetSavedState() so nothing is written while reloading
+let stateSaving = true;
+
+// Write the persisted parameters to the URL hash (without adding history
+// entries) and localStorage if they changed.
+function saveState() {
+  if (!stateSaving) return;
+  const text = encodeState(persistedParams); // stateUtils.js
+  if (text === lastSavedState) return;
+  lastSavedState = text;
+  history.replaceState(null, "", "#" + text);
+  try {
+    localStorage.setItem(SAVED_STATE_KEY, text);
+  } catch (e) {
+    // storage disabled or full: the hash still has the state
+  }
+}
+
+// Forget the saved state and reload with the defaults.
+function resetSavedState() {
+  stateSaving = false;
+  try {
+    localStorage.removeItem(SAVED_STATE_KEY);
+  } catch (e) {
+    // nothing was stored
+  }
+  history.replaceState(null, "", location.pathname + location.search);
+  location.reload();
 }
 
-function render() {
+// Draw one frame. Matrices and uniform data live in preallocated typed
+// arrays and the loops below avoid per-frame closures, so apart from the
+// WebGPU objects a frame inherently needs (views, encoder, pass) this
+// creates no garbage. `timestamp` is requestAnimationFrame's, in ms.
+let lastFrameTime = null;
+function render(timestamp) {
+  // schedule the next frame first, so a frame that throws does not end the
+  // loop
+  requestAnimationFrame(render);
+  // seconds since the previous frame, capped so a backgrounded tab does
+  // not resume with one huge step
+  const dt =
+    lastFrameTime === null
+      ? 0
+      : Math.min((timestamp - lastFrameTime) / 1000, 0.1);
+  lastFrameTime = timestamp;
+  updatePathPlayback(dt);
+  updateCameraControls(dt);
+  // the camera moves every frame while dragging, so changes are saved at
+  // most every STATE_SAVE_INTERVAL ms
+  if (timestamp >= nextStateSave) {
+    saveState();
+    nextStateSave = timestamp + STATE_SAVE_INTERVAL;
+  }
   // update canvas size / depth texture if needed
   gpu.onResize();
-  // update uniforms
-  const uniformData = packUniforms();
-  queue.writeBuffer(
-    uniformBuffer,
-    0,
-    uniformData.buffer,
-    uniformData.byteOffset || 0,
-    uniformData.byteLength
-  );
+  // update camera, frustum and terrain uniforms
+  updateCamera();
+  mat4fMult(viewProjectionMatrix, projectionMatrix, modelViewMatrix);
+  extractFrustumPlanes(frustum, viewProjectionMatrix); // frustumUtils.js
+  cullStats.drawn = cullStats.culled = 0;
+  queue.writeBuffer(uniformBuffer, 0, packUniforms(uniformData));
   // begin render
-  const { view, depthView } = gpu.getCurrentViews();
+  const views = gpu.getCurrentViews();
+  renderPassDescriptor.colorAttachments[0].view = views.view;
+  renderPassDescriptor.depthStencilAttachment.view = views.depthView;
   const commandEncoder = device.createCommandEncoder();
-  const renderPass = commandEncoder.beginRenderPass({
-    colorAttachments: [
-      {
-        view: view,
-        clearValue: {
-          r: 0.1,
-          g: 0.1,
-          b: 0.1,
-          a: 1.0,
-        },
-        loadOp: "clear",
-        storeOp: "store",
-      },
-    ],
-    depthStencilAttachment: {
-      view: depthView,
-      depthClearValue: 1.0,
-      depthLoadOp: "clear",
-      depthStoreOp: "store",
-    },
-  });
+  const renderPass = commandEncoder.beginRenderPass(renderPassDescriptor);
   renderPass.setPipeline(pipeline);
-  renderPass.setBindGroup(0, bindGroup);
-  renderPass.setVertexBuffer(0, vertexBufferGPU);
-  renderPass.draw(vertexCount, 1, 0, 0);
+  if (scene.render.showTerrain) {
+    renderPass.setBindGroup(0, bindGroup);
+    if (terrainLOD) {
+      const chunks = terrainLOD.update(eye);
+      for (let i = 0; i < chunks.length; ++i) {
+        const chunk = chunks[i];
+        if (!isVisible(chunk.bounds)) continue;
+        renderPass.setVertexBuffer(0, chunk.vertexBuffer);
+        renderPass.setIndexBuffer(chunk.indexBuffer, chunk.indexFormat);
+        renderPass.drawIndexed(chunk.indexCount, 1, 0, 0, 0);
+      }
+      showTerrainLODStats(terrainLOD.stats); // eventHandlers.js
+    } else if (isVisible(terrainBounds)) {
+      if (scene.render.smoothShading) {
+        renderPass.setVertexBuffer(0, indexedVertexBufferGPU);
+        renderPass.setIndexBuffer(indexBufferGPU, indexFormat);
+        renderPass.drawIndexed(indexCount, 1, 0, 0, 0);
+      } else {
+        renderPass.setVertexBuffer(0, vertexBufferGPU);
+        renderPass.draw(vertexCount, 1, 0, 0);
+      }
+    }
+  }
+  for (let i = 0; i < models.length; ++i) {
+    const model = models[i];
+    if (!isVisible(model.worldBounds)) continue;
+    packUniforms(model.uniformData, model.material, model.transform);
+    queue.writeBuffer(model.uniformBuffer, 0, model.uniformData);
+    renderPass.setBindGroup(0, model.bindGroup);
+    renderPass.setVertexBuffer(0, model.vertexBuffer);
+    renderPass.setIndexBuffer(model.indexBuffer, model.indexFormat);
+    renderPass.drawIndexed(model.indexCount, 1, 0, 0, 0);
+  }
   renderPass.end();
   device.queue.submit([commandEncoder.finish()]);
-  requestAnimationFrame(render);
+  showCullStats(cullStats); // eventHandlers.js
 }
 
 // start
@@ -0,0 +1,224 @@
+// Noise utilities
+// Deterministic procedural noise used as an elevation source for the
+// terrain generator. Everything is derived from an integer seed through a
+// small PRNG and a permutation table, and only uses plain float arithmetic,
+// so the same seed and settings always produce byte-identical vertex data.
+//
+// Building blocks:
+// - perlin2 / simplex2: single-octave 2D gradient noise in roughly [-1, 1]
+// - fbm: fractal Brownian motion (sum of octaves)
+// - ridged: ridged multifractal (sharp crests, smooth valleys)
+// - warp: fbm sampled at coordinates displaced by two other fbm fields
+//
+// All octave-based functions take the same settings object:
+//   { basis, seed, octaves, lacunarity, gain, frequency, amplitude, warp }
+
+const defaultNoise = {
+  basis: "perlin", // "perlin" or "simplex"
+  seed: 1337,
+  octaves: 6,
+  lacunarity: 2.0, // frequency multiplier per octave
+  gain: 0.5, // amplitude multiplier per octave
+  frequency: 0.15, // base frequency in world units
+  amplitude: 3.0, // output height scale
+  warp: 4.0, // domain warp strength (warp only)
+};
+
+// mulberry32: tiny 32-bit PRNG returning floats in [0, 1)
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Shuffled 0..255 permutation, doubled to 512 entries to avoid wrapping.
+function noisePermutation(seed) {
+  if (!Number.isInteger(seed))
+    throw new Error("noise: seed must be an integer");
+  const random = mulberry32(seed);
+  const p = new Uint8Array(256);
+  for (let i = 0; i < 256; ++i) p[i] = i;
+  for (let i = 255; i > 0; --i) {
+    const j = Math.floor(random() * (i + 1));
+    const tmp = p[i];
+    p[i] = p[j];
+    p[j] = tmp;
+  }
+  const perm = new Uint8Array(512);
+  for (let i = 0; i < 512; ++i) perm[i] = p[i & 255];
+  return perm;
+}
+
+// 8 unit-ish gradient directions shared by both bases
+const noiseGradients = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+  [Math.SQRT1_2, Math.SQRT1_2],
+  [-Math.SQRT1_2, Math.SQRT1_2],
+  [Math.SQRT1_2, -Math.SQRT1_2],
+  [-Math.SQRT1_2, -Math.SQRT1_2],
+];
+
+function noiseGradDot(hash, x, y) {
+  const g = noiseGradients[hash & 7];
+  return g[0] * x + g[1] * y;
+}
+
+// Classic (improved) Perlin noise in 2D.
+function perlin2(perm, x, y) {
+  const xf = Math.floor(x);
+  const yf = Math.floor(y);
+  const X = xf & 255;
+  const Y = yf & 255;
+  x -= xf;
+  y -= yf;
+  // quintic fade curve 6t^5 - 15t^4 + 10t^3
+  const u = x * x * x * (x * (x * 6 - 15) + 10);
+  const v = y * y * y * (y * (y * 6 - 15) + 10);
+  const aa = perm[perm[X] + Y];
+  const ab = perm[perm[X] + Y + 1];
+  const ba = perm[perm[X + 1] + Y];
+  const bb = perm[perm[X + 1] + Y + 1];
+  const x1 =
+    noiseGradDot(aa, x, y) +
+    u * (noiseGradDot(ba, x - 1, y) - noiseGradDot(aa, x, y));
+  const x2 =
+    noiseGradDot(ab, x, y - 1) +
+    u * (noiseGradDot(bb, x - 1, y - 1) - noiseGradDot(ab, x, y - 1));
+  // scale so the output range is close to [-1, 1]
+  return (x1 + v * (x2 - x1)) * Math.SQRT2;
+}
+
+// 2D simplex noise (after Gustavson's reference implementation).
+const SIMPLEX_F2 = 0.5 * (Math.sqrt(3) - 1);
+const SIMPLEX_G2 = (3 - Math.sqrt(3)) / 6;
+
+function simplex2(perm, x, y) {
+  const s = (x + y) * SIMPLEX_F2;
+  const i = Math.floor(x + s);
+  const j = Math.floor(y + s);
+  const t = (i + j) * SIMPLEX_G2;
+  const x0 = x - (i - t);
+  const y0 = y - (j - t);
+  const i1 = x0 > y0 ? 1 : 0;
+  const j1 = x0 > y0 ? 0 : 1;
+  const x1 = x0 - i1 + SIMPLEX_G2;
+  const y1 = y0 - j1 + SIMPLEX_G2;
+  const x2 = x0 - 1 + 2 * SIMPLEX_G2;
+  const y2 = y0 - 1 + 2 * SIMPLEX_G2;
+  const ii = i & 255;
+  const jj = j & 255;
+
+  function corner(hash, cx, cy) {
+    let c = 0.5 - cx * cx - cy * cy;
+    if (c < 0) return 0;
+    c *= c;
+    return c * c * noiseGradDot(hash, cx, cy);
+  }
+  const n0 = corner(perm[ii + perm[jj]], x0, y0);
+  const n1 = corner(perm[ii + i1 + perm[jj + j1]], x1, y1);
+  const n2 = corner(perm[ii + 1 + perm[jj + 1]], x2, y2);
+  // the reference's factor of 70 is for its longer gradients; with the
+  // unit ones above the sum peaks near 1 / 99.2, so this matches perlin2's
+  // [-1, 1]
+  return 99.2 * (n0 + n1 + n2);
+}
+
+// Resolve settings against defaultNoise and validate them.
+function resolveNoise(settings) {
+  const n = Object.assign({}, defaultNoise, settings);
+  if (n.basis !== "perlin" && n.basis !== "simplex") {
+    throw new Error("noise: unknown basis '" + n.basis + "'");
+  }
+  if (!Number.isInteger(n.octaves) || n.octaves < 1 || n.octaves > 16) {
+    throw new Error("noise: octaves must be an integer between 1 and 16");
+  }
+  ["lacunarity", "gain", "frequency", "amplitude", "warp"].forEach((key) => {
+    if (!isFinite(n[key]))
+      throw new Error("noise: " + key + " must be a number");
+  });
+  return n;
+}
+
+// Build a normalized fbm(x, z) closure; output stays roughly in [-1, 1]
+// regardless of the octave count.
+function makeFbm(n, perm) {
+  const basis = n.basis === "simplex" ? simplex2 : perlin2;
+  return function (x, z) {
+    let sum = 0;
+    let norm = 0;
+    let amp = 1;
+    let freq = n.frequency;
+    for (let o = 0; o < n.octaves; ++o) {
+      sum += amp * basis(perm, x * freq, z * freq);
+      norm += amp;
+      amp *= n.gain;
+      freq *= n.lacunarity;
+    }
+    return norm > 0 ? sum / norm : 0;
+  };
+}
+
+// Return an elevation(x, z) function for the given noise type ("fbm",
+// "ridged" or "warp") and settings.
+function makeNoiseElevation(type, settings) {
+  const n = resolveNoise(settings);
+  const perm = noisePermutation(n.seed);
+  const basis = n.basis === "simplex" ? simplex2 : perlin2;
+  const fbm = makeFbm(n, perm);
+
+  if (type === "fbm") {
+    return function (x, z) {
+      return n.amplitude * fbm(x, z);
+    };
+  }
+
+  if (type === "ridged") {
+    // Musgrave's ridged multifractal: invert |noise| into ridges and let
+    // each octave's ridges weight the next so detail gathers on crests.
+    return function (x, z) {
+      let sum = 0;
+      let norm = 0;
+      let amp = 1;
+      let freq = n.frequency;
+      let weight = 1;
+      for (let o = 0; o < n.octaves; ++o) {
+        let signal = 1 - Math.abs(basis(perm, x * freq, z * freq));
+        signal *= signal * weight;
+        weight = Math.min(Math.max(signal * 2, 0), 1);
+        sum += signal * amp;
+        norm += amp;
+        amp *= n.gain;
+        freq *= n.lacunarity;
+      }
+      return n.amplitude * (norm > 0 ? (2 * sum) / norm - 1 : 0);
+    };
+  }
+
+  if (type === "warp") {
+    // Domain warp: displace the lookup position by two decorrelated fbm
+    // fields (fixed offsets keep them independent yet deterministic).
+    // `warp` is measured in base-frequency features, not world units
+    const scale = n.frequency > 0 ? n.warp / n.frequency : n.warp;
+    return function (x, z) {
+      const qx = fbm(x + 17.3, z + 3.1);
+      const qz = fbm(x - 5.2, z + 41.7);
+      return n.amplitude * fbm(x + scale * qx, z + scale * qz);
+    };
+  }
+
+  throw new Error("noise: unknown type '" + type + "'");
+}
+
+// Expose helpers globally (non-module style to match project scripts)
+window.perlin2 = perlin2;
+window.simplex2 = simplex2;
+window.noisePermutation = noisePermutation;
+window.makeNoiseElevation = makeNoiseElevation;
@@ -0,0 +1,372 @@
+// Wavefront OBJ (+ MTL) loader
+// Parses OBJ text into meshes that render through the same Phong pipeline
+// as the terrain: one mesh per material, each with an interleaved
+// Float32Array [x,y,z, nx,ny,nz] (the layout declared by the pipeline's
+// `arrayStride`/`attributes` in main.js), an index array, optional UVs and
+// a material in the shape packUniforms() consumes:
+//   { ambient: vec4, diffuse: vec4, specular: vec4, shininess: number }
+//
+// Supported: v / vt / vn, faces with any of the v, v/vt, v//vn, v/vt/vn
+// forms, negative (relative) indices, polygons of any size (ear-clipping
+// triangulation), o/g/usemtl/mtllib. Faces without normals get smooth,
+// area-weighted normals computed from the positions. Unsupported statements
+// are collected in `warnings` instead of throwing.
+
+// Parse MTL text into { name: material }. Ka/Kd/Ks map onto the ambient,
+// diffuse and specular colors and Ns onto the shininess of a scene
+// material (see sceneUtils.js).
+function parseMTL(text) {
+  const materials = {};
+  let current = null;
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/#.*/, "").trim();
+    if (!line) return;
+    const parts = line.split(/\s+/);
+    const keyword = parts[0];
+    const rgb = () =>
+      vec4(
+        parseFloat(parts[1]),
+        parseFloat(parts[2] !== undefined ? parts[2] : parts[1]),
+        parseFloat(parts[3] !== undefined ? parts[3] : parts[1]),
+        1.0
+      );
+    if (keyword === "newmtl") {
+      current = defaultOBJMaterial();
+      materials[parts.slice(1).join(" ")] = current;
+    } else if (!current) {
+      return;
+    } else if (keyword === "Ka") {
+      current.ambient = rgb();
+    } else if (keyword === "Kd") {
+      current.diffuse = rgb();
+    } else if (keyword === "Ks") {
+      current.specular = rgb();
+    } else if (keyword === "Ns") {
+      current.shininess = parseFloat(parts[1]);
+    }
+  });
+  return materials;
+}
+
+// Material used for faces without (or with an unknown) usemtl.
+function defaultOBJMaterial() {
+  return {
+    ambient: vec4(0.2, 0.2, 0.2, 1.0),
+    diffuse: vec4(0.8, 0.8, 0.8, 1.0),
+    specular: vec4(0.5, 0.5, 0.5, 1.0),
+    shininess: 32.0,
+  };
+}
+
+// Triangulate a polygon given as an array of [x,y,z] points; returns index
+// triples into that array. Ear clipping in the polygon's dominant plane
+// handles concave faces; degenerate input falls back to a fan.
+function triangulatePolygon(points) {
+  const count = points.length;
+  if (count === 3) return [[0, 1, 2]];
+  // Newell normal picks the projection plane
+  let nx = 0;
+  let ny = 0;
+  let nz = 0;
+  for (let i = 0; i < count; ++i) {
+    const a = points[i];
+    const b = points[(i + 1) % count];
+    nx += (a[1] - b[1]) * (a[2] + b[2]);
+    ny += (a[2] - b[2]) * (a[0] + b[0]);
+    nz += (a[0] - b[0]) * (a[1] + b[1]);
+  }
+  const ax = Math.abs(nx);
+  const ay = Math.abs(ny);
+  const az = Math.abs(nz);
+  let u = 0;
+  let v = 1;
+  let sign = nz;
+  if (ax >= ay && ax >= az) {
+    u = 1;
+    v = 2;
+    sign = nx;
+  } else if (ay >= az) {
+    u = 2;
+    v = 0;
+    sign = ny;
+  }
+  const fan = () => {
+    const tris = [];
+    for (let i = 1; i < count - 1; ++i) tris.push([0, i, i + 1]);
+    return tris;
+  };
+  if (sign === 0) return fan();
+
+  const p2 = points.map((p) => [p[u], p[v]]);
+  const orient = sign > 0 ? 1 : -1;
+  const area = (a, b, c) =>
+    orient *
+    ((p2[b][0] - p2[a][0]) * (p2[c][1] - p2[a][1]) -
+      (p2[b][1] - p2[a][1]) * (p2[c][0] - p2[a][0]));
+  const inside = (p, a, b, c) =>
+    area(a, b, p) >= 0 && area(b, c, p) >= 0 && area(c, a, p) >= 0;
+
+  const remaining = points.map((_, i) => i);
+  const tris = [];
+  let guard = count * count;
+  while (remaining.length > 3 && guard-- > 0) {
+    let clipped = false;
+    for (let i = 0; i < remaining.length; ++i) {
+      const a = remaining[(i + remaining.length - 1) % remaining.length];
+      const b = remaining[i];
+      const c = remaining[(i + 1) % remaining.length];
+      if (area(a, b, c) <= 0) continue; // reflex corner
+      const blocked = remaining.some(
+        (p) => p !== a && p !== b && p !== c && inside(p, a, b, c)
+      );
+      if (blocked) continue;
+      tris.push([a, b, c]);
+      remaining.splice(i, 1);
+      clipped = true;
+      break;
+    }
+    if (!clipped) return fan();
+  }
+  tris.push(remaining);
+  return tris;
+}
+
+// Parse OBJ text. `materials` is the result of parseMTL() for the files
+// named by mtllib (optional). Returns
+//   { meshes: [{ name, material, materialName, vertices, uvs, indices }],
+//     mtllibs: [file names], warnings: [strings] }
+function parseOBJ(text, materials = {}) {
+  const positions = [];
+  const texcoords = [];
+  const normals = [];
+  const warnings = [];
+  const mtllibs = [];
+  // faces grouped by material: name -> [[corner, ...], ...] where a corner
+  // is [positionIndex, texcoordIndex|-1, normalIndex|-1] (0-based)
+  const groups = new Map();
+  let currentMaterial = "";
+  let objectName = "";
+
+  function resolveIndex(token, count, lineNo, what) {
+    if (token === undefined || token === "") return -1;
+    const i = parseInt(token, 10);
+    const resolved = i < 0 ? count + i : i - 1;
+    if (!Number.isFinite(i) || i === 0 || resolved < 0 || resolved >= count) {
+      throw new Error(
+        "parseOBJ: line " +
+          lineNo +
+          ": " +
+          what +
+          " index " +
+          token +
+          " out of range"
+      );
+    }
+    return resolved;
+  }
+
+  const lines = text.split(/\r?\n/);
+  for (let l = 0; l < lines.length; ++l) {
+    let line = lines[l];
+    // line continuation
+    while (line.endsWith("\\") && l + 1 < lines.length) {
+      line = line.slice(0, -1) + " " + lines[++l];
+    }
+    line = line.replace(/#.*/, "").trim();
+    if (!line) continue;
+    const parts = line.split(/\s+/);
+    const keyword = parts[0];
+    const lineNo = l + 1;
+    switch (keyword) {
+      case "v":
+        positions.push([+parts[1], +parts[2], +parts[3]]);
+        break;
+      case "vt":
+        texcoords.push([+parts[1], parts[2] !== undefined ? +parts[2] : 0]);
+        break;
+      case "vn":
+        normals.push([+parts[1], +parts[2], +parts[3]]);
+        break;
+      case "f": {
+        if (parts.length < 4) {
+          warnings.push(
+            "line " + lineNo + ": face with fewer than 3 vertices skipped"
+          );
+          break;
+        }
+        const corners = parts.slice(1).map((token) => {
+          const [vi, ti, ni] = token.split("/");
+          return [
+            resolveIndex(vi, positions.length, lineNo, "position"),
+            resolveIndex(ti, texcoords.length, lineNo, "texcoord"),
+            resolveIndex(ni, normals.length, lineNo, "normal"),
+          ];
+        });
+        if (!groups.has(currentMaterial)) groups.set(currentMaterial, []);
+        groups.get(currentMaterial).push(corners);
+        break;
+      }
+      case "usemtl":
+        currentMaterial = parts.slice(1).join(" ");
+        break;
+      case "mtllib":
+        mtllibs.push(...parts.slice(1));
+        break;
+      case "o":
+      case "g":
+        if (!objectName) objectName = parts.slice(1).join(" ");
+        break;
+      case "s":
+        // smoothing groups: normals are either given or computed smooth
+        break;
+      default:
+        warnings.push(
+          "line " + lineNo + ": unsupported statement '" + keyword + "'"
+        );
+    }
+  }
+
+  // smooth normals per position for corners without a vn
+  let computed = null;
+  function computedNormals() {
+    if (computed) return computed;
+    computed = new Float32Array(positions.length * 3);
+    groups.forEach((faces) =>
+      faces.forEach((corners) => {
+        const pts = corners.map((c) => positions[c[0]]);
+        triangulatePolygon(pts).forEach(([a, b, c]) => {
+          const pa = pts[a];
+          const pb = pts[b];
+          const pc = pts[c];
+          const e1 = [pb[0] - pa[0], pb[1] - pa[1], pb[2] - pa[2]];
+          const e2 = [pc[0] - pa[0], pc[1] - pa[1], pc[2] - pa[2]];
+          const n = [
+            e1[1] * e2[2] - e1[2] * e2[1],
+            e1[2] * e2[0] - e1[0] * e2[2],
+            e1[0] * e2[1] - e1[1] * e2[0],
+          ];
+          [a, b, c].forEach((k) => {
+            const p = corners[k][0];
+            computed[p * 3] += n[0];
+            computed[p * 3 + 1] += n[1];
+            computed[p * 3 + 2] += n[2];
+          });
+        });
+      })
+    );
+    for (let p = 0; p < positions.length; ++p) {
+      const x = computed[p * 3];
+      const y = computed[p * 3 + 1];
+      const z = computed[p * 3 + 2];
+      const len = Math.sqrt(x * x + y * y + z * z) || 1.0;
+      computed[p * 3] = x / len;
+      computed[p * 3 + 1] = y / len;
+      computed[p * 3 + 2] = z / len;
+    }
+    return computed;
+  }
+
+  const meshes = [];
+  groups.forEach((faces, materialName) => {
+    // de-duplicate corners so shared v/vt/vn combinations share a vertex
+    const lookup = new Map();
+    const vertices = [];
+    const uvs = [];
+    const indices = [];
+    let hasUVs = false;
+    faces.forEach((corners) => {
+      const pts = corners.map((c) => positions[c[0]]);
+      const ids = corners.map((c) => {
+        const key = c[0] + "/" + c[1] + "/" + c[2];
+        let id = lookup.get(key);
+        if (id === undefined) {
+          id = vertices.length / 6;
+          lookup.set(key, id);
+          const p = positions[c[0]];
+          let n;
+          if (c[2] >= 0) {
+            n = normals[c[2]];
+          } else {
+            const cn = computedNormals();
+            n = [cn[c[0] * 3], cn[c[0] * 3 + 1], cn[c[0] * 3 + 2]];
+          }
+          vertices.push(p[0], p[1], p[2], n[0], n[1], n[2]);
+          if (c[1] >= 0) {
+            hasUVs = true;
+            uvs.push(texcoords[c[1]][0], texcoords[c[1]][1]);
+          } else {
+            uvs.push(0, 0);
+          }
+        }
+        return id;
+      });
+      triangulatePolygon(pts).forEach((tri) => {
+        indices.push(ids[tri[0]], ids[tri[1]], ids[tri[2]]);
+      });
+    });
+    let material = materials[materialName];
+    if (!material) {
+      if (materialName) {
+        warnings.push(
+          "material '" + materialName + "' not found; using default"
+        );
+      }
+      material = defaultOBJMaterial();
+    }
+    const vertexCount = vertices.length / 6;
+    meshes.push({
+      name: objectName || "obj",
+      materialName: materialName,
+      material: material,
+      vertices: new Float32Array(vertices),
+      uvs: hasUVs ? new Float32Array(uvs) : null,
+      indices:
+        vertexCount <= 0xffff
+          ? new Uint16Array(indices)
+          : new Uint32Array(indices),
+    });
+  });
+  if (meshes.length === 0) warnings.push("no faces found");
+  return { meshes: meshes, mtllibs: mtllibs, warnings: warnings };
+}
+
+// Load an OBJ from a list of Files (e.g. from a multi-select file input).
+// MTL files in the same selection are parsed first and matched by name
+// against the OBJ's mtllib statements; missing ones become warnings.
+async function loadOBJFiles(fileList) {
+  const files = Array.from(fileList);
+  const objFile = files.find((f) => f.name.toLowerCase().endsWith(".obj"));
+  if (!objFile) throw new Error("loadOBJFiles: no .obj file selected");
+  const mtlFiles = new Map();
+  files
+    .filter((f) => f.name.toLowerCase().endsWith(".mtl"))
+    .forEach((f) => mtlFiles.set(f.name, f));
+
+  const text = await objFile.text();
+  // first pass only to discover mtllib names
+  const libs = (text.match(/^\s*mtllib\s+.+$/gm) || []).flatMap((line) =>
+    line.trim().split(/\s+/).slice(1)
+  );
+  const materials = {};
+  const warnings = [];
+  for (const lib of libs) {
+    const base = lib.split(/[\\/]/).pop();
+    const file = mtlFiles.get(base);
+    if (file) {
+      Object.assign(materials, parseMTL(await file.text()));
+    } else {
+      warnings.push(
+        "mtllib '" + lib + "' was not selected; using default materials"
+      );
+    }
+  }
+  const result = parseOBJ(text, materials);
+  result.warnings = warnings.concat(result.warnings);
+  return result;
+}
+
+// Expose helpers globally (non-module style to match project scripts)
+window.parseOBJ = parseOBJ;
+window.parseMTL = parseMTL;
+window.loadOBJFiles = loadOBJFiles;
+window.triangulatePolygon = triangulatePolygon;
@@ -0,0 +1,351 @@
+// Picking
+// CPU ray casting against triangle meshes: a screen position is unprojected
+// into a world-space ray, and a bounding volume hierarchy (BVH) over the
+// mesh's triangles narrows the ray-triangle tests down to a handful.
+//
+// The BVH is built over the flat triangle soup produced by generateMesh()
+// (a plain array of [x, y, z, w] per vertex, three vertices per triangle,
+// see geometryUtils.js) -- the same triangles the flat-shaded terrain
+// draws. Triangle indices in pick results refer to that order: triangle i
+// is the 12 numbers starting at soup[12 * i].
+
+const BVH_LEAF_TRIANGLES = 4;
+
+// World-space ray through canvas pixel (x, y) of a width x height canvas,
+// for a perspective camera: starts at the eye, points into the screen.
+// Returns { origin: [x,y,z], direction: [x,y,z] } (direction unit length).
+// `viewMatrix`/`projectionMatrix` are mat4f (see MVnew.js), e.g. the
+// globals modelViewMatrix/projectionMatrix from main.js; any of the depth
+// mappings of perspectiveZO/perspectiveReverseZ works.
+function screenToRay(x, y, width, height, viewMatrix, projectionMatrix) {
+  const inverseView = mat4fInverse(mat4f(), viewMatrix); // MVnew.js
+  const inverseProjection = mat4fInverse(mat4f(), projectionMatrix);
+  if (!inverseView || !inverseProjection) {
+    throw new Error("screenToRay: camera matrices are not invertible");
+  }
+  // pixel -> normalized device coordinates (y up); any depth inside the
+  // frustum gives a point on the ray, 0.5 is finite in every depth mode
+  const ndc = vec4f((2 * x) / width - 1, 1 - (2 * y) / height, 0.5, 1.0);
+  const viewPoint = mat4fMultVec4(vec4f(), inverseProjection, ndc);
+  vec4fSet(
+    viewPoint,
+    viewPoint[0] / viewPoint[3],
+    viewPoint[1] / viewPoint[3],
+    viewPoint[2] / viewPoint[3],
+    0.0
+  );
+  // the eye sits at the view-space origin, so the point is the direction
+  const direction = mat4fMultVec4(vec4f(), inverseView, viewPoint);
+  const length = Math.hypot(direction[0], direction[1], direction[2]);
+  return {
+    origin: [inverseView[12], inverseView[13], inverseView[14]],
+    direction: [
+      direction[0] / length,
+      direction[1] / length,
+      direction[2] / length,
+    ],
+  };
+}
+
+// Build a BVH over a triangle soup (numbers, `stride` per vertex and three
+// vertices per triangle; generateMesh() output has stride 4). Nodes are
+// split at the middle of their centroid bounds along the longest axis
+// (falling back to an even split when that leaves one side empty) until
+// they hold at most BVH_LEAF_TRIANGLES triangles. Returns
+// { soup, stride, triangleCount, order, nodeCount, boxes, links }: per
+// node, `boxes` holds 6 floats (min xyz, max xyz) and `links` 4 ints (left
+// and right child, -1 in leaves, then the first index and count of its
+// range of `order`, the triangle indices sorted into leaves). Node 0 is the
+// root.
+function buildTriangleBVH(soup, stride = 4) {
+  const triangleCount = Math.floor(soup.length / (3 * stride));
+  if (!triangleCount) throw new Error("buildTriangleBVH: no triangles");
+  const centroids = new Float32Array(triangleCount * 3);
+  const triBoxes = new Float32Array(triangleCount * 6);
+  for (let t = 0; t < triangleCount; ++t) {
+    const base = 3 * stride * t;
+    for (let k = 0; k < 3; ++k) {
+      const a = soup[base + k];
+      const b = soup[base + stride + k];
+      const c = soup[base + 2 * stride + k];
+      centroids[3 * t + k] = (a + b + c) / 3;
+      triBoxes[6 * t + k] = Math.min(a, b, c);
+      triBoxes[6 * t + 3 + k] = Math.max(a, b, c);
+    }
+  }
+
+  const order = new Uint32Array(triangleCount);
+  for (let t = 0; t < triangleCount; ++t) order[t] = t;
+  // a binary tree with leaves of >= 1 triangle has < 2n nodes
+  const maxNodes = 2 * triangleCount;
+  const boxes = new Float32Array(maxNodes * 6);
+  const links = new Int32Array(maxNodes * 4);
+  let nodeCount = 1;
+
+  // iterative to keep deep trees off the call stack: [first, count, node]
+  const stack = [[0, triangleCount, 0]];
+  while (stack.length) {
+    const [first, count, node] = stack.pop();
+    const box = node * 6;
+    const cmin = [Infinity, Infinity, Infinity];
+    const cmax = [-Infinity, -Infinity, -Infinity];
+    for (let k = 0; k < 3; ++k) {
+      boxes[box + k] = Infinity;
+      boxes[box + 3 + k] = -Infinity;
+    }
+    for (let i = first; i < first + count; ++i) {
+      const t = order[i];
+      for (let k = 0; k < 3; ++k) {
+        boxes[box + k] = Math.min(boxes[box + k], triBoxes[6 * t + k]);
+        boxes[box + 3 + k] = Math.max(
+          boxes[box + 3 + k],
+          triBoxes[6 * t + 3 + k]
+        );
+        cmin[k] = Math.min(cmin[k], centroids[3 * t + k]);
+        cmax[k] = Math.max(cmax[k], centroids[3 * t + k]);
+      }
+    }
+    links[node * 4 + 2] = first;
+    links[node * 4 + 3] = count;
+    if (count <= BVH_LEAF_TRIANGLES) {
+      links[node * 4] = links[node * 4 + 1] = -1;
+      continue;
+    }
+    let axis = 0;
+    if (cmax[1] - cmin[1] > cmax[axis] - cmin[axis]) axis = 1;
+    if (cmax[2] - cmin[2] > cmax[axis] - cmin[axis]) axis = 2;
+    // partition `order` in place around the middle of the centroid bounds
+    const middle = (cmin[axis] + cmax[axis]) / 2;
+    let i = first;
+    let j = first + count - 1;
+    while (i <= j) {
+      if (centroids[3 * order[i] + axis] < middle) {
+        ++i;
+      } else {
+        const swap = order[i];
+        order[i] = order[j];
+        order[j--] = swap;
+      }
+    }
+    let half = i - first;
+    if (half === 0 || half === count) half = count >> 1;
+    const left = nodeCount++;
+    const right = nodeCount++;
+    links[node * 4] = left;
+    links[node * 4 + 1] = right;
+    stack.push([first, half, left], [first + half, count - half, right]);
+  }
+
+  return {
+    soup: soup,
+    stride: stride,
+    triangleCount: triangleCount,
+    order: order,
+    nodeCount: nodeCount,
+    boxes: boxes.subarray(0, nodeCount * 6),
+    links: links.subarray(0, nodeCount * 4),
+  };
+}
+
+// Refit the boxes of `bvh` after vertices of its soup moved in place (e.g.
+// while sculpting). The tree shape is kept: queries stay exact, they only
+// slow down if triangles travel far from where they were built. Children
+// always come after their parent, so one reverse pass refits both children
+// before the node that contains them.
+//
+// `xzRange` ([x0, z0, x1, z1]) limits the refit to the nodes whose boxes
+// overlap that rectangle in x and z, for heightfield edits that only move
+// vertices up and down inside it: x/z extents then never change, so no
+// other node can be affected.
+function refitTriangleBVH(bvh, xzRange = null) {
+  const { boxes, links } = bvh;
+  if (!xzRange) {
+    for (let node = bvh.nodeCount - 1; node >= 0; --node) {
+      refitBVHNode(bvh, node);
+    }
+    return bvh;
+  }
+  const [x0, z0, x1, z1] = xzRange;
+  // parents are found before their children, so refit in reverse
+  const touched = [];
+  const stack = bvh.nodeCount ? [0] : [];
+  while (stack.length) {
+    const node = stack.pop();
+    const box = node * 6;
+    if (
+      boxes[box] > x1 ||
+      boxes[box + 3] < x0 ||
+      boxes[box + 2] > z1 ||
+      boxes[box + 5] < z0
+    ) {
+      continue;
+    }
+    touched.push(node);
+    if (links[node * 4] >= 0) stack.push(links[node * 4], links[node * 4 + 1]);
+  }
+  for (let i = touched.length - 1; i >= 0; --i) refitBVHNode(bvh, touched[i]);
+  return bvh;
+}
+
+// Recompute one node's box: from its children's boxes, or for a leaf from
+// its triangles.
+function refitBVHNode(bvh, node) {
+  const { boxes, links, order, soup, stride } = bvh;
+  const box = node * 6;
+  const left = links[node * 4];
+  if (left >= 0) {
+    const right = links[node * 4 + 1];
+    for (let k = 0; k < 3; ++k) {
+      boxes[box + k] = Math.min(boxes[left * 6 + k], boxes[right * 6 + k]);
+      boxes[box + 3 + k] = Math.max(
+        boxes[left * 6 + 3 + k],
+        boxes[right * 6 + 3 + k]
+      );
+    }
+    return;
+  }
+  for (let k = 0; k < 3; ++k) {
+    boxes[box + k] = Infinity;
+    boxes[box + 3 + k] = -Infinity;
+  }
+  const first = links[node * 4 + 2];
+  const count = links[node * 4 + 3];
+  for (let i = first; i < first + count; ++i) {
+    const base = 3 * stride * order[i];
+    for (let v = base; v < base + 3 * stride; v += stride) {
+      for (let k = 0; k < 3; ++k) {
+        if (soup[v + k] < boxes[box + k]) boxes[box + k] = soup[v + k];
+        if (soup[v + k] > boxes[box + 3 + k]) boxes[box + 3 + k] = soup[v + k];
+      }
+    }
+  }
+}
+
+// Entry distance of the ray into a box, or Infinity if it misses (slab
+// test; `inverse` is 1 / direction per axis).
+function rayBoxDistance(origin, inverse, boxes, offset, maxT) {
+  let tmin = 0;
+  let tmax = maxT;
+  for (let k = 0; k < 3; ++k) {
+    let t1 = (boxes[offset + k] - origin[k]) * inverse[k];
+    let t2 = (boxes[offset + 3 + k] - origin[k]) * inverse[k];
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    // NaN (0 * Infinity on a slab boundary) is ignored by the comparisons
+    if (t1 > tmin) tmin = t1;
+    if (t2 < tmax) tmax = t2;
+    if (tmin > tmax) return Infinity;
+  }
+  return tmin;
+}
+
+// Moller-Trumbore ray/triangle intersection, both sides, for the triangle
+// whose vertices start at offsets a, b and c of the number array `p`.
+// Returns the ray distance t (> 0) or Infinity.
+function rayTriangleDistance(origin, direction, p, a, b, c) {
+  const e1x = p[b] - p[a];
+  const e1y = p[b + 1] - p[a + 1];
+  const e1z = p[b + 2] - p[a + 2];
+  const e2x = p[c] - p[a];
+  const e2y = p[c + 1] - p[a + 1];
+  const e2z = p[c + 2] - p[a + 2];
+  const px = direction[1] * e2z - direction[2] * e2y;
+  const py = direction[2] * e2x - direction[0] * e2z;
+  const pz = direction[0] * e2y - direction[1] * e2x;
+  const det = e1x * px + e1y * py + e1z * pz;
+  if (Math.abs(det) < 1e-12) return Infinity; // parallel
+  const inv = 1 / det;
+  const sx = origin[0] - p[a];
+  const sy = origin[1] - p[a + 1];
+  const sz = origin[2] - p[a + 2];
+  const u = (sx * px + sy * py + sz * pz) * inv;
+  if (u < 0 || u > 1) return Infinity;
+  const qx = sy * e1z - sz * e1y;
+  const qy = sz * e1x - sx * e1z;
+  const qz = sx * e1y - sy * e1x;
+  const v = (direction[0] * qx + direction[1] * qy + direction[2] * qz) * inv;
+  if (v < 0 || u + v > 1) return Infinity;
+  const t = (e2x * qx + e2y * qy + e2z * qz) * inv;
+  return t > 1e-9 ? t : Infinity;
+}
+
+// Same for a triangle given as three points (vec3/vec4 or [x, y, z]).
+function intersectRayTriangle(origin, direction, a, b, c) {
+  const p = [a[0], a[1], a[2], b[0], b[1], b[2], c[0], c[1], c[2]];
+  return rayTriangleDistance(origin, direction, p, 0, 3, 6);
+}
+
+// Closest hit of the ray with the BVH's triangles, or null. Returns
+// { point: [x,y,z], distance, triangle, normal: [x,y,z] } where `triangle`
+// indexes the soup given to buildTriangleBVH() and `normal` is the unit
+// face normal, turned to face the ray origin.
+function raycastBVH(bvh, origin, direction) {
+  const inverse = direction.map((d) => 1 / d);
+  const { boxes, links, order, soup, stride } = bvh;
+  let best = Infinity;
+  let bestTriangle = -1;
+  const stack = [0];
+  while (stack.length) {
+    const node = stack.pop();
+    if (rayBoxDistance(origin, inverse, boxes, node * 6, best) === Infinity) {
+      continue;
+    }
+    const left = links[node * 4];
+    if (left < 0) {
+      const first = links[node * 4 + 2];
+      const count = links[node * 4 + 3];
+      for (let i = first; i < first + count; ++i) {
+        const t = order[i];
+        const a = 3 * stride * t;
+        const d = rayTriangleDistance(
+          origin,
+          direction,
+          soup,
+          a,
+          a + stride,
+          a + 2 * stride
+        );
+        if (d < best) {
+          best = d;
+          bestTriangle = t;
+        }
+      }
+    } else {
+      // visit the nearer child first so `best` shrinks early
+      const right = links[node * 4 + 1];
+      const dl = rayBoxDistance(origin, inverse, boxes, left * 6, best);
+      const dr = rayBoxDistance(origin, inverse, boxes, right * 6, best);
+      if (dl < dr) stack.push(right, left);
+      else stack.push(left, right);
+    }
+  }
+  if (bestTriangle < 0) return null;
+
+  const a = 3 * stride * bestTriangle;
+  const b = a + stride;
+  const c = a + 2 * stride;
+  const e1 = [0, 1, 2].map((k) => soup[b + k] - soup[a + k]);
+  const e2 = [0, 1, 2].map((k) => soup[c + k] - soup[a + k]);
+  let n = [
+    e1[1] * e2[2] - e1[2] * e2[1],
+    e1[2] * e2[0] - e1[0] * e2[2],
+    e1[0] * e2[1] - e1[1] * e2[0],
+  ];
+  const length = Math.hypot(n[0], n[1], n[2]) || 1;
+  const facing =
+    n[0] * direction[0] + n[1] * direction[1] + n[2] * direction[2];
+  const sign = facing > 0 ? -1 / length : 1 / length;
+  n = n.map((v) => v * sign);
+  return {
+    point: [0, 1, 2].map((k) => origin[k] + direction[k] * best),
+    distance: best,
+    triangle: bestTriangle,
+    normal: n,
+  };
+}
+
+// Expose helpers globally (non-module style to match project scripts)
+window.screenToRay = screenToRay;
+window.buildTriangleBVH = buildTriangleBVH;
+window.refitTriangleBVH = refitTriangleBVH;
+window.intersectRayTriangle = intersectRayTriangle;
+window.raycastBVH = raycastBVH;
@@ -0,0 +1,347 @@
+// Parametric primitives
+// Classic test shapes for showing off Phong highlights. Every generator
+// returns an indexed mesh in the same vec4 format as the terrain path:
+//   { positions: [vec4], normals: [vec4], uvs: [vec2], indices }
+// so `interleaveVertexData(positions, normals)` produces the pipeline's
+// vertex layout directly. Triangles are wound counter-clockwise when seen
+// from outside (normals point outward); the pipeline draws both sides
+// (cullMode "none"), so winding only matters once back faces are culled.
+
+// Uint16Array when every index fits, Uint32Array otherwise.
+function primitiveIndexArray(indices, vertexCount) {
+  return vertexCount <= 0xffff
+    ? new Uint16Array(indices)
+    : new Uint32Array(indices);
+}
+
+// Grid of (cols+1) x (rows+1) vertices produced by `vertexAt(u, v)`
+// returning { p: [x,y,z], n: [x,y,z] }; u runs along columns, v along rows.
+// Used by every primitive that is a parametric surface.
+function parametricSurface(cols, rows, vertexAt) {
+  const positions = [];
+  const normals = [];
+  const uvs = [];
+  for (let j = 0; j <= rows; ++j) {
+    const v = j / rows;
+    for (let i = 0; i <= cols; ++i) {
+      const u = i / cols;
+      const { p, n } = vertexAt(u, v);
+      positions.push(vec4(p[0], p[1], p[2], 1.0));
+      normals.push(vec4(n[0], n[1], n[2], 0.0));
+      uvs.push(vec2(u, v));
+    }
+  }
+  const indices = [];
+  for (let j = 0; j < rows; ++j) {
+    for (let i = 0; i < cols; ++i) {
+      const a = j * (cols + 1) + i;
+      const b = a + 1;
+      const c = a + cols + 1;
+      const d = c + 1;
+      indices.push(a, c, b, b, c, d);
+    }
+  }
+  return { positions, normals, uvs, indices };
+}
+
+function finishPrimitive(mesh) {
+  mesh.indices = primitiveIndexArray(mesh.indices, mesh.positions.length);
+  return mesh;
+}
+
+// Append `part` (positions/normals/uvs/indices) to `mesh`, offsetting indices.
+function appendPrimitive(mesh, part) {
+  const base = mesh.positions.length;
+  mesh.positions.push(...part.positions);
+  mesh.normals.push(...part.normals);
+  mesh.uvs.push(...part.uvs);
+  part.indices.forEach((i) => mesh.indices.push(base + i));
+  return mesh;
+}
+
+function createUVSphere(radius = 1, widthSegments = 32, heightSegments = 16) {
+  return finishPrimitive(
+    parametricSurface(widthSegments, heightSegments, (u, v) => {
+      const phi = u * 2 * Math.PI;
+      const theta = v * Math.PI;
+      const n = [
+        -Math.cos(phi) * Math.sin(theta),
+        Math.cos(theta),
+        Math.sin(phi) * Math.sin(theta),
+      ];
+      return { p: n.map((c) => c * radius), n: n };
+    })
+  );
+}
+
+// Icosahedron subdivided `subdivisions` times, with vertices pushed onto
+// the sphere. UVs are the spherical (longitude/latitude) mapping; vertices
+// are shared, so the texture seam is not split.
+function createIcosphere(radius = 1, subdivisions = 2) {
+  const t = (1 + Math.sqrt(5)) / 2;
+  let points = [
+    [-1, t, 0],
+    [1, t, 0],
+    [-1, -t, 0],
+    [1, -t, 0],
+    [0, -1, t],
+    [0, 1, t],
+    [0, -1, -t],
+    [0, 1, -t],
+    [t, 0, -1],
+    [t, 0, 1],
+    [-t, 0, -1],
+    [-t, 0, 1],
+  ].map((p) => {
+    const len = Math.hypot(p[0], p[1], p[2]);
+    return p.map((c) => c / len);
+  });
+  let faces = [
+    [0, 11, 5],
+    [0, 5, 1],
+    [0, 1, 7],
+    [0, 7, 10],
+    [0, 10, 11],
+    [1, 5, 9],
+    [5, 11, 4],
+    [11, 10, 2],
+    [10, 7, 6],
+    [7, 1, 8],
+    [3, 9, 4],
+    [3, 4, 2],
+    [3, 2, 6],
+    [3, 6, 8],
+    [3, 8, 9],
+    [4, 9, 5],
+    [2, 4, 11],
+    [6, 2, 10],
+    [8, 6, 7],
+    [9, 8, 1],
+  ];
+  for (let s = 0; s < subdivisions; ++s) {
+    const cache = new Map();
+    const midpoint = (a, b) => {
+      const key = a < b ? a + "_" + b : b + "_" + a;
+      if (!cache.has(key)) {
+        const m = [0, 1, 2].map((k) => (points[a][k] + points[b][k]) / 2);
+        const len = Math.hypot(m[0], m[1], m[2]);
+        points.push(m.map((c) => c / len));
+        cache.set(key, points.length - 1);
+      }
+      return cache.get(key);
+    };
+    const next = [];
+    faces.forEach(([a, b, c]) => {
+      const ab = midpoint(a, b);
+      const bc = midpoint(b, c);
+      const ca = midpoint(c, a);
+      next.push([a, ab, ca], [b, bc, ab], [c, ca, bc], [ab, bc, ca]);
+    });
+    faces = next;
+  }
+  return finishPrimitive({
+    positions: points.map((p) =>
+      vec4(p[0] * radius, p[1] * radius, p[2] * radius, 1.0)
+    ),
+    normals: points.map((p) => vec4(p[0], p[1], p[2], 0.0)),
+    uvs: points.map((p) =>
+      vec2(
+        0.5 + Math.atan2(p[2], -p[0]) / (2 * Math.PI),
+        Math.acos(Math.max(-1, Math.min(1, p[1]))) / Math.PI
+      )
+    ),
+    indices: faces.flat(),
+  });
+}
+
+// Torus around the y axis: `radius` to the tube center, `tube` thickness.
+function createTorus(
+  radius = 1,
+  tube = 0.3,
+  radialSegments = 16,
+  tubularSegments = 48
+) {
+  return finishPrimitive(
+    parametricSurface(tubularSegments, radialSegments, (u, v) => {
+      const phi = u * 2 * Math.PI; // around the y axis
+      const theta = v * 2 * Math.PI; // around the tube
+      const n = [
+        Math.cos(theta) * Math.cos(phi),
+        Math.sin(theta),
+        Math.cos(theta) * Math.sin(phi),
+      ];
+      const p = [
+        (radius + tube * Math.cos(theta)) * Math.cos(phi),
+        tube * Math.sin(theta),
+        (radius + tube * Math.cos(theta)) * Math.sin(phi),
+      ];
+      return { p: p, n: n };
+    })
+  );
+}
+
+// Cylinder (or truncated cone) along y, centered on the origin. Side
+// normals tilt with the slope so cones light correctly.
+function createCylinder(
+  radiusTop = 1,
+  radiusBottom = 1,
+  height = 2,
+  radialSegments = 32,
+  heightSegments = 1,
+  capped = true
+) {
+  const slope = (radiusBottom - radiusTop) / height;
+  const mesh = parametricSurface(radialSegments, heightSegments, (u, v) => {
+    const phi = u * 2 * Math.PI;
+    const r = radiusTop + (radiusBottom - radiusTop) * v;
+    const len = Math.sqrt(1 + slope * slope);
+    return {
+      p: [r * Math.sin(phi), height / 2 - v * height, r * Math.cos(phi)],
+      n: [Math.sin(phi) / len, slope / len, Math.cos(phi) / len],
+    };
+  });
+  if (capped) {
+    [
+      [radiusTop, 1],
+      [radiusBottom, -1],
+    ].forEach(([r, side]) => {
+      if (r <= 0) return;
+      const y = (side * height) / 2;
+      const cap = {
+        positions: [vec4(0, y, 0, 1.0)],
+        normals: [vec4(0, side, 0, 0.0)],
+        uvs: [vec2(0.5, 0.5)],
+        indices: [],
+      };
+      for (let i = 0; i <= radialSegments; ++i) {
+        const phi = (i / radialSegments) * 2 * Math.PI;
+        cap.positions.push(vec4(r * Math.sin(phi), y, r * Math.cos(phi), 1.0));
+        cap.normals.push(vec4(0, side, 0, 0.0));
+        cap.uvs.push(
+          vec2(0.5 + 0.5 * Math.sin(phi), 0.5 + 0.5 * Math.cos(phi))
+        );
+        if (i > 0) {
+          if (side > 0) cap.indices.push(0, i, i + 1);
+          else cap.indices.push(0, i + 1, i);
+        }
+      }
+      appendPrimitive(mesh, cap);
+    });
+  }
+  return finishPrimitive(mesh);
+}
+
+function createCone(radius = 1, height = 2, radialSegments = 32) {
+  return createCylinder(0, radius, height, radialSegments, 1, true);
+}
+
+// Axis-aligned box centered on the origin; each face is a separate grid so
+// edges stay sharp.
+function createBox(width = 1, height = 1, depth = 1, segments = 1) {
+  const mesh = { positions: [], normals: [], uvs: [], indices: [] };
+  const hx = width / 2;
+  const hy = height / 2;
+  const hz = depth / 2;
+  // [normal, u axis, v axis, half extents along normal/u/v]
+  const faces = [
+    [
+      [1, 0, 0],
+      [0, 0, -1],
+      [0, -1, 0],
+      [hx, hz, hy],
+    ],
+    [
+      [-1, 0, 0],
+      [0, 0, 1],
+      [0, -1, 0],
+      [hx, hz, hy],
+    ],
+    [
+      [0, 1, 0],
+      [1, 0, 0],
+      [0, 0, 1],
+      [hy, hx, hz],
+    ],
+    [
+      [0, -1, 0],
+      [1, 0, 0],
+      [0, 0, -1],
+      [hy, hx, hz],
+    ],
+    [
+      [0, 0, 1],
+      [1, 0, 0],
+      [0, -1, 0],
+      [hz, hx, hy],
+    ],
+    [
+      [0, 0, -1],
+      [-1, 0, 0],
+      [0, -1, 0],
+      [hz, hx, hy],
+    ],
+  ];
+  faces.forEach(([n, uAxis, vAxis, h]) => {
+    const face = parametricSurface(segments, segments, (u, v) => {
+      const su = (u * 2 - 1) * h[1];
+      const sv = (v * 2 - 1) * h[2];
+      return {
+        p: [0, 1, 2].map((k) => n[k] * h[0] + uAxis[k] * su + vAxis[k] * sv),
+        n: n,
+      };
+    });
+    appendPrimitive(mesh, face);
+  });
+  return finishPrimitive(mesh);
+}
+
+// Subdivided plane in the xz plane facing +y, centered on the origin.
+function createPlane(
+  width = 1,
+  depth = 1,
+  widthSegments = 1,
+  depthSegments = 1
+) {
+  return finishPrimitive(
+    parametricSurface(widthSegments, depthSegments, (u, v) => ({
+      p: [(u - 0.5) * width, 0, (v - 0.5) * depth],
+      n: [0, 1, 0],
+    }))
+  );
+}
+
+// Named generators with their default arguments, for UI menus.
+const primitivePresets = {
+  uvSphere: { label: "UV sphere", create: () => createUVSphere(1, 48, 24) },
+  icosphere: { label: "Icosphere", create: () => createIcosphere(1, 3) },
+  torus: { label: "Torus", create: () => createTorus(1, 0.35, 24, 64) },
+  cylinder: {
+    label: "Cylinder",
+    create: () => createCylinder(0.75, 0.75, 2, 48),
+  },
+  cone: { label: "Cone", create: () => createCone(1, 2, 48) },
+  box: { label: "Box", create: () => createBox(1.5, 1.5, 1.5, 4) },
+  plane: { label: "Plane", create: () => createPlane(4, 4, 16, 16) },
+};
+
+// Convert a primitive into the mesh shape addModels() in main.js uploads.
+function primitiveToMesh(primitive, name, material) {
+  return {
+    name: name,
+    material: material,
+    vertices: interleaveVertexData(primitive.positions, primitive.normals), // bufferUtils.js
+    uvs: new Float32Array(flatten(primitive.uvs)),
+    indices: primitive.indices,
+  };
+}
+
+// Expose helpers globally (non-module style to match project scripts)
+window.createUVSphere = createUVSphere;
+window.createIcosphere = createIcosphere;
+window.createTorus = createTorus;
+window.createCylinder = createCylinder;
+window.createCone = createCone;
+window.createBox = createBox;
+window.createPlane = createPlane;
+window.primitivePresets = primitivePresets;
+window.primitiveToMesh = primitiveToMesh;
@@ -0,0 +1,562 @@
+// Scene documents
+// A scene (camera, bookmarks and fly-through, light, material, render
+// settings, terrain and meshes) as a versioned JSON document. The document
+// is described once, by sceneSchema below, which provides both the
+// validation (every problem reported with its path, like
+// "meshes[2].material.diffuse[0]") and the defaults for anything a document
+// leaves out, so defaultScene() is simply the empty document resolved. The
+// app keeps its state in the same shape (main.js::scene), so saving is a
+// copy and loading a validated replace.
+//
+// Schema nodes are plain objects with a `type`:
+// - number: { min, max, integer }
+// - string: { options } allowed values (an array, or a function returning
+//   one), { maxLength }
+// - boolean
+// - array: { items, length }
+// - object: { properties, required } unknown properties are errors, null
+//   counts as missing
+// - any node: { default } used when the property is missing (a function is
+//   called for a fresh value), { check(value, path, errors) } for rules
+//   involving several values, run once the node itself is valid
+
+const SCENE_FORMAT = "phong-scene";
+const SCENE_VERSION = 1;
+// validation stops collecting after this many errors (a bad mesh could
+// otherwise report one per vertex)
+const MAX_SCENE_ERRORS = 20;
+
+function sceneNumber(defaultValue, min, max) {
+  return { type: "number", default: defaultValue, min: min, max: max };
+}
+
+function sceneVector(defaultValue, min = -1e4, max = 1e4) {
+  return {
+    type: "array",
+    length: defaultValue.length,
+    items: { type: "number", min: min, max: max },
+    default: defaultValue,
+  };
+}
+
+// a position without a default
+function scenePoint() {
+  return { type: "array", length: 3, items: sceneNumber(undefined, -1e4, 1e4) };
+}
+
+// colors are [r, g, b] in 0..1
+function sceneColor(defaultValue) {
+  return sceneVector(defaultValue, 0, 1);
+}
+
+function sceneMaterial() {
+  return {
+    type: "object",
+    properties: {
+      ambient: sceneColor([0.1, 0.1, 0.3]),
+      diffuse: sceneColor([0.2, 0.2, 0.6]),
+      specular: sceneColor([0.8, 0.8, 0.8]),
+      shininess: sceneNumber(50, 0, 1000),
+    },
+    default: () => ({}),
+  };
+}
+
+// a camera pose as in cameraPathUtils.js, with the `extra` properties
+// (listed in `required` unless they have defaults)
+function scenePose(extra, required) {
+  return {
+    type: "object",
+    properties: Object.assign(
+      { eye: scenePoint(), target: scenePoint() },
+      extra
+    ),
+    required: ["eye", "target"].concat(required),
+    check: checkScenePose,
+  };
+}
+
+// eye and target must give a view direction the y-up camera can use
+function checkScenePose(pose, path, errors) {
+  const problem = viewPoseProblem(pose.eye, pose.target); // cameraPathUtils.js
+  if (problem) errors.push(path + ".eye: " + problem);
+}
+
+const sceneSchema = {
+  type: "object",
+  required: ["format", "version"],
+  properties: {
+    format: { type: "string", options: [SCENE_FORMAT] },
+    version: { type: "number", integer: true, min: 1, max: SCENE_VERSION },
+    camera: {
+      type: "object",
+      properties: {
+        eye: sceneVector([13, 7, -11]),
+        target: sceneVector([0, 0, 0]),
+        fovy: sceneNumber(60, 1, 179),
+        near: sceneNumber(0.1, 1e-6, 1e6),
+        far: sceneNumber(100, 1e-3, 1e7),
+        // a key of main.js::cameraModes
+        controls: {
+          type: "string",
+          options: () => Object.keys(cameraModes),
+          default: "orbit",
+        },
+      },
+      default: () => ({}),
+      check: (camera, path, errors) => {
+        checkScenePose(camera, path, errors);
+        if (camera.near >= camera.far) {
+          errors.push(path + ".near: must be less than far");
+        }
+      },
+    },
+    bookmarks: {
+      type: "array",
+      items: scenePose({ name: { type: "string", maxLength: 200 } }, ["name"]),
+      default: () => [],
+    },
+    flyThrough: {
+      type: "object",
+      properties: {
+        keyframes: {
+          type: "array",
+          items: scenePose(
+            {
+              time: sceneNumber(undefined, 0, 1e6),
+              easing: {
+                type: "string",
+                options: () => Object.keys(easingFunctions), // cameraPathUtils.js
+                default: "easeInOut",
+              },
+            },
+            ["time"]
+          ),
+          default: () => [],
+          check: (keyframes, path, errors) => {
+            keyframes.forEach((k, i) => {
+              if (i > 0 && !(k.time > keyframes[i - 1].time)) {
+                errors.push(
+                  path + "[" + i + "].time: keyframes must be in time order"
+                );
+              }
+            });
+          },
+        },
+        loop: { type: "boolean", default: false },
+      },
+      default: () => ({}),
+    },
+    // the shader has a single light, so exactly one entry
+    lights: {
+      type: "array",
+      length: 1,
+      items: {
+        type: "object",
+        properties: {
+          position: sceneVector([2, 4, 2]),
+          ambient: sceneColor([0.3, 0.3, 0.3]),
+          diffuse: sceneColor([1, 1, 1]),
+          specular: sceneColor([1, 1, 1]),
+        },
+      },
+      default: () => [{}],
+    },
+    // the terrain's material, and the one given to new primitives
+    material: sceneMaterial(),
+    render: {
+      type: "object",
+      properties: {
+        smoothShading: { type: "boolean", default: true },
+        terrainLOD: { type: "boolean", default: false },
+        frustumCulling: { type: "boolean", default: true },
+        // a key of main.js::depthModes
+        depthMode: {
+          type: "string",
+          options: () => Object.keys(depthModes),
+          default: "reverseZ",
+        },
+        showTerrain: { type: "boolean", default: true },
+      },
+      default: () => ({}),
+    },
+    // the terrain descriptor of geometryUtils.js (see defaultTerrain)
+    terrain: {
+      type: "object",
+      properties: {
+        size: sceneNumber(defaultTerrain.size, 1, 200),
+        step: sceneNumber(defaultTerrain.step, 0.01, 5),
+        offset: sceneNumber(defaultTerrain.offset, -50, 50),
+        elevation: {
+          type: "string",
+          options: () => Object.keys(elevationPresets), // geometryUtils.js
+          default: defaultTerrain.elevation,
+        },
+        expression: {
+          type: "string",
+          maxLength: 1000,
+          default: defaultTerrain.expression,
+          check: (text, path, errors) => {
+            try {
+              compileExpression(text); // expressionUtils.js
+            } catch (e) {
+              errors.push(path + ": " + e.message);
+            }
+          },
+        },
+        heightScale: sceneNumber(defaultTerrain.heightScale, -100, 100),
+        // samples in 0..1, row = z, column = x (see heightmapUtils.js)
+        heightmap: {
+          type: "object",
+          properties: {
+            width: { type: "number", integer: true, min: 2, max: 8192 },
+            height: { type: "number", integer: true, min: 2, max: 8192 },
+            data: { type: "array", items: { type: "number", min: 0, max: 1 } },
+          },
+          required: ["width", "height", "data"],
+          check: (heightmap, path, errors) => {
+            const expected = heightmap.width * heightmap.height;
+            if (heightmap.data.length !== expected) {
+              errors.push(
+                path +
+                  ".data: expected width * height = " +
+                  expected +
+                  " values"
+              );
+            }
+          },
+        },
+        noise: {
+          type: "object",
+          properties: {
+            basis: {
+              type: "string",
+              options: ["perlin", "simplex"],
+              default: defaultNoise.basis,
+            },
+            seed: { type: "number", integer: true, default: defaultNoise.seed },
+            octaves: {
+              type: "number",
+              integer: true,
+              min: 1,
+              max: 16,
+              default: defaultNoise.octaves,
+            },
+            lacunarity: sceneNumber(defaultNoise.lacunarity, 1, 4),
+            gain: sceneNumber(defaultNoise.gain, 0, 1),
+            frequency: sceneNumber(defaultNoise.frequency, 0.01, 2),
+            amplitude: sceneNumber(defaultNoise.amplitude, 0, 50),
+            warp: sceneNumber(defaultNoise.warp, 0, 20),
+          },
+          default: () => ({}),
+        },
+      },
+      default: () => ({}),
+      check: (terrain, path, errors) => {
+        if (terrain.elevation === "heightmap" && !terrain.heightmap) {
+          errors.push(path + ".heightmap: required by the heightmap elevation");
+        }
+      },
+    },
+    // models: a generated primitive (a key of primitivePresets) or imported
+    // geometry as interleaved [x,y,z, nx,ny,nz] vertices and triangle indices
+    meshes: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          name: { type: "string", maxLength: 200, default: "" },
+          primitive: {
+            type: "string",
+            options: () => Object.keys(primitivePresets), // primitiveUtils.js
+          },
+          vertices: { type: "array", items: { type: "number" } },
+          indices: {
+            type: "array",
+            items: { type: "number", integer: true, min: 0 },
+          },
+          // T * R * S, see mat4Compose() in MVnew.js
+          transform: {
+            type: "object",
+            properties: {
+              translation: sceneVector([0, 0, 0]),
+              rotation: sceneVector([0, 0, 0, 1], -1, 1),
+              scale: sceneVector([1, 1, 1]),
+            },
+            check: (transform, path, errors) => {
+              if (Math.hypot(...transform.rotation) < 1e-6) {
+                errors.push(path + ".rotation: must be a non-zero quaternion");
+              }
+            },
+          },
+          material: sceneMaterial(),
+        },
+        check: checkSceneMeshSource,
+      },
+      default: () => [],
+    },
+  },
+};
+
+// A mesh has either a primitive or vertices and indices, which must form
+// whole vertices and triangles.
+function checkSceneMeshSource(mesh, path, errors) {
+  const hasData = mesh.vertices !== undefined || mesh.indices !== undefined;
+  if (mesh.primitive !== undefined) {
+    if (hasData) {
+      errors.push(path + ": give either primitive or vertices and indices");
+    }
+    return;
+  }
+  if (mesh.vertices === undefined || mesh.indices === undefined) {
+    errors.push(path + ": expected primitive, or vertices and indices");
+    return;
+  }
+  if (mesh.vertices.length % 6 !== 0) {
+    errors.push(
+      path + ".vertices: expected [x,y,z, nx,ny,nz] per vertex (6 numbers)"
+    );
+  }
+  if (mesh.indices.length % 3 !== 0) {
+    errors.push(path + ".indices: expected 3 indices per triangle");
+  }
+  const vertexCount = Math.floor(mesh.vertices.length / 6);
+  const bad = mesh.indices.findIndex((index) => index >= vertexCount);
+  if (bad >= 0) {
+    errors.push(
+      path +
+        ".indices[" +
+        bad +
+        "]: " +
+        mesh.indices[bad] +
+        " is past the last vertex (" +
+        vertexCount +
+        " vertices)"
+    );
+  }
+}
+
+function scenePath(path, key) {
+  return path ? path + "." + key : key;
+}
+
+function describeSceneType(value) {
+  if (value === null) return "null";
+  return Array.isArray(value) ? "an array" : "a " + typeof value;
+}
+
+// Validate `value` against schema node `schema` and return it with
+// defaults filled in (a fresh copy for objects and arrays). Problems are
+// pushed to `errors` as "path: message"; the return value is then
+// meaningless.
+function resolveSceneValue(schema, value, path = "", errors = []) {
+  const where = path || "scene";
+  const fail = (message) => {
+    if (errors.length < MAX_SCENE_ERRORS) errors.push(where + ": " + message);
+    return undefined;
+  };
+  const errorCount = errors.length;
+  let result = value;
+  switch (schema.type) {
+    case "number":
+      if (typeof value !== "number" || !isFinite(value)) {
+        return fail("expected a number, got " + describeSceneType(value));
+      }
+      if (schema.integer && !Number.isInteger(value)) {
+        return fail("expected an integer, got " + value);
+      }
+      if (schema.min !== undefined && value < schema.min) {
+        return fail(value + " is below the minimum " + schema.min);
+      }
+      if (schema.max !== undefined && value > schema.max) {
+        return fail(value + " is above the maximum " + schema.max);
+      }
+      break;
+    case "string": {
+      if (typeof value !== "string") {
+        return fail("expected a string, got " + describeSceneType(value));
+      }
+      const options =
+        typeof schema.options === "function"
+          ? schema.options()
+          : schema.options;
+      if (options && !options.includes(value)) {
+        return fail(
+          "unknown value '" + value + "', expected one of " + options.join(", ")
+        );
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return fail("longer than " + schema.maxLength + " characters");
+      }
+      break;
+    }
+    case "boolean":
+      if (typeof value !== "boolean") {
+        return fail("expected true or false, got " + describeSceneType(value));
+      }
+      break;
+    case "array":
+      if (!Array.isArray(value)) {
+        return fail("expected an array, got " + describeSceneType(value));
+      }
+      if (schema.length !== undefined && value.length !== schema.length) {
+        return fail(
+          "expected " + schema.length + " items, got " + value.length
+        );
+      }
+      result = [];
+      for (let i = 0; i < value.length; ++i) {
+        if (errors.length >= MAX_SCENE_ERRORS) break;
+        result.push(
+          resolveSceneValue(
+            schema.items,
+            value[i],
+            path + "[" + i + "]",
+            errors
+          )
+        );
+      }
+      break;
+    case "object":
+      if (typeof value !== "object" || value === null || Array.isArray(value)) {
+        return fail("expected an object, got " + describeSceneType(value));
+      }
+      result = {};
+      Object.keys(value).forEach((key) => {
+        if (!schema.properties[key]) fail("unknown property '" + key + "'");
+      });
+      Object.keys(schema.properties).forEach((key) => {
+        const property = schema.properties[key];
+        const keyPath = scenePath(path, key);
+        if (value[key] !== undefined && value[key] !== null) {
+          result[key] = resolveSceneValue(
+            property,
+            value[key],
+            keyPath,
+            errors
+          );
+        } else if (property.default !== undefined) {
+          const fallback =
+            typeof property.default === "function"
+              ? property.default()
+              : property.default;
+          result[key] = resolveSceneValue(property, fallback, keyPath, errors);
+        } else if (schema.required && schema.required.includes(key)) {
+          if (errors.length < MAX_SCENE_ERRORS) {
+            errors.push(keyPath + ": missing");
+          }
+        }
+      });
+      break;
+    default:
+      throw new Error("resolveSceneValue: unknown schema type " + schema.type);
+  }
+  if (schema.check && errors.length === errorCount) {
+    schema.check(result, where, errors);
+    errors.length = Math.min(errors.length, MAX_SCENE_ERRORS);
+  }
+  return result;
+}
+
+// Validate a parsed scene document and fill in its defaults. Throws an
+// Error listing every problem found (up to MAX_SCENE_ERRORS), one
+// "path: message" per line.
+function resolveScene(doc) {
+  const errors = [];
+  // a newer document may use properties this version does not know, so
+  // say that rather than listing them as unknown
+  if (doc && typeof doc.version === "number" && doc.version > SCENE_VERSION) {
+    errors.push(
+      "version: scene version " +
+        doc.version +
+        " is newer than this viewer supports (" +
+        SCENE_VERSION +
+        ")"
+    );
+  } else {
+    const scene = resolveSceneValue(sceneSchema, doc, "", errors);
+    if (!errors.length) {
+      if (scene.terrain.heightmap) {
+        scene.terrain.heightmap.data = new Float32Array(
+          scene.terrain.heightmap.data
+        );
+      }
+      return scene;
+    }
+  }
+  throw new Error(
+    "Invalid scene (" +
+      errors.length +
+      (errors.length >= MAX_SCENE_ERRORS ? "+" : "") +
+      (errors.length === 1 ? " problem" : " problems") +
+      "):\n" +
+      errors.join("\n")
+  );
+}
+
+// Parse and resolve the text of a scene document (see resolveScene()).
+function parseScene(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    throw new Error("Invalid scene: not JSON (" + e.message + ")");
+  }
+  return resolveScene(doc);
+}
+
+// A complete scene with every value at its default.
+function defaultScene() {
+  return resolveScene({ format: SCENE_FORMAT, version: SCENE_VERSION });
+}
+
+// Round typed-array values to 6 decimals so float32 noise like
+// 0.30000001192092896 does not bloat the file.
+function sceneJSONValue(key, value) {
+  if (ArrayBuffer.isView(value)) {
+    return Array.from(value, (v) => Math.round(v * 1e6) / 1e6);
+  }
+  return value;
+}
+
+// JSON text of a scene (as returned by resolveScene()) with `meshes`
+// replaced by the given list.
+function stringifyScene(scene, meshes) {
+  const doc = Object.assign({}, scene, {
+    format: SCENE_FORMAT,
+    version: SCENE_VERSION,
+    meshes: meshes,
+  });
+  return JSON.stringify(doc, sceneJSONValue, 2);
+}
+
+// mat4f model matrix <-> scene transform { translation, rotation, scale }.
+function sceneTransform(matrix) {
+  const trs = mat4Decompose(fromFloat32(matrix)); // MVnew.js
+  return {
+    translation: Array.from(trs.translation),
+    rotation: Array.from(trs.rotation),
+    scale: Array.from(trs.scale),
+  };
+}
+
+function sceneTransformMatrix(transform) {
+  const q = transform.rotation;
+  const length = Math.hypot(...q);
+  return mat4fCompose(
+    new Float32Array(16),
+    transform.translation,
+    q.map((v) => v / length),
+    transform.scale
+  ); // MVnew.js
+}
+
+// Expose helpers globally (non-module style to match project scripts)
+window.SCENE_FORMAT = SCENE_FORMAT;
+window.SCENE_VERSION = SCENE_VERSION;
+window.resolveScene = resolveScene;
+window.parseScene = parseScene;
+window.defaultScene = defaultScene;
+window.stringifyScene = stringifyScene;
+window.sceneTransform = sceneTransform;
+window.sceneTransformMatrix = sceneTransformMatrix;
@@ -0,0 +1,363 @@
+// Sculpting
+// Brushes that edit the full-resolution terrain in place. The heightfield
+// is the indexed grid from generateIndexedMesh() ({ positions, normals,
+// cols }, vertex (i, j) at positions[i * cols + j], x along i and z along
+// j); only vertex heights change, so the index buffer and the grid layout
+// stay valid. Every edit reports the rectangle of the grid it touched so
+// the caller can refresh normals, the flat triangle soup and the GPU
+// buffers for just that region.
+//
+// Regions are { i0, i1, j0, j1 }, inclusive, in vertex or quad indices.
+
+const sculptModes = {
+  raise: { label: "Raise" },
+  lower: { label: "Lower" },
+  smooth: { label: "Smooth" },
+  flatten: { label: "Flatten" },
+};
+
+// Brush weight by distance from the center, d = distance / radius in [0, 1].
+const brushFalloffs = {
+  smooth: {
+    label: "Smooth",
+    fn: function (d) {
+      const t = 1 - d * d;
+      return t * t;
+    },
+  },
+  linear: {
+    label: "Linear",
+    fn: function (d) {
+      return 1 - d;
+    },
+  },
+  constant: {
+    label: "Constant",
+    fn: function () {
+      return 1;
+    },
+  },
+};
+
+// Brush settings consumed by applySculptBrush():
+// - mode: name of an entry in sculptModes
+// - radius: world units around the cursor
+// - strength: raise/lower speed in height units per second at the center;
+//   for smooth/flatten the fraction of the way to the target per second
+// - falloff: name of an entry in brushFalloffs
+const defaultBrush = {
+  mode: "raise",
+  radius: 1.5,
+  strength: 2,
+  falloff: "smooth",
+};
+
+// Apply `brush` at world position `center` ([x, y, z], e.g. a pick point)
+// for `dt` seconds. Flatten pulls heights towards `targetHeight` (the
+// height where the stroke started, say); smoothing pulls them towards the
+// average of their four neighbours, read before this dab so the result does
+// not depend on the visiting order. Returns the vertex region inside the
+// brush's square, or null when the brush is off the grid.
+function applySculptBrush(grid, brush, center, dt, targetHeight = center[1]) {
+  if (!sculptModes[brush.mode]) {
+    throw new Error("applySculptBrush: unknown mode '" + brush.mode + "'");
+  }
+  const falloff = brushFalloffs[brush.falloff];
+  if (!falloff) {
+    throw new Error(
+      "applySculptBrush: unknown falloff '" + brush.falloff + "'"
+    );
+  }
+  if (!(brush.radius > 0)) {
+    throw new Error("applySculptBrush: radius must be > 0");
+  }
+  const { positions, cols } = grid;
+  const x0 = positions[0][0];
+  const z0 = positions[0][2];
+  const step = positions[cols][0] - x0;
+  const r = brush.radius;
+  const region = {
+    i0: Math.max(0, Math.ceil((center[0] - r - x0) / step)),
+    i1: Math.min(cols - 1, Math.floor((center[0] + r - x0) / step)),
+    j0: Math.max(0, Math.ceil((center[2] - r - z0) / step)),
+    j1: Math.min(cols - 1, Math.floor((center[2] + r - z0) / step)),
+  };
+  if (region.i0 > region.i1 || region.j0 > region.j1) return null;
+
+  const { i0, i1, j0, j1 } = region;
+  const span = j1 - j0 + 1;
+  let before = null;
+  if (brush.mode === "smooth") {
+    before = new Float32Array((i1 - i0 + 1) * span);
+    for (let i = i0; i <= i1; ++i) {
+      for (let j = j0; j <= j1; ++j) {
+        before[(i - i0) * span + j - j0] = positions[i * cols + j][1];
+      }
+    }
+  }
+  // height of vertex (i, j) before this dab, clamped to the grid edges
+  const heightAt = (i, j) => {
+    i = Math.min(Math.max(i, 0), cols - 1);
+    j = Math.min(Math.max(j, 0), cols - 1);
+    if (i >= i0 && i <= i1 && j >= j0 && j <= j1) {
+      return before[(i - i0) * span + j - j0];
+    }
+    return positions[i * cols + j][1];
+  };
+
+  for (let i = i0; i <= i1; ++i) {
+    for (let j = j0; j <= j1; ++j) {
+      const p = positions[i * cols + j];
+      const d = Math.hypot(p[0] - center[0], p[2] - center[2]) / r;
+      if (d > 1) continue;
+      const w = falloff.fn(d) * brush.strength * dt;
+      switch (brush.mode) {
+        case "raise":
+          p[1] += w;
+          break;
+        case "lower":
+          p[1] -= w;
+          break;
+        case "smooth": {
+          const average =
+            (heightAt(i - 1, j) +
+              heightAt(i + 1, j) +
+              heightAt(i, j - 1) +
+              heightAt(i, j + 1)) /
+            4;
+          p[1] += (average - heightAt(i, j)) * Math.min(1, w);
+          break;
+        }
+        case "flatten":
+          p[1] += (targetHeight - p[1]) * Math.min(1, w);
+          break;
+      }
+    }
+  }
+  return region;
+}
+
+// Quads (and the flat-shaded triangles) that use a vertex of `region`.
+function sculptQuadRegion(grid, region) {
+  const n = grid.cols - 1;
+  return {
+    i0: Math.max(0, region.i0 - 1),
+    i1: Math.min(n - 1, region.i1),
+    j0: Math.max(0, region.j0 - 1),
+    j1: Math.min(n - 1, region.j1),
+  };
+}
+
+// Recompute grid.normals for every vertex whose smooth normal depends on a
+// height in `region` (the region grown by one vertex), with the same
+// area-weighted sums as computeSmoothNormals() so sculpted and freshly
+// generated terrain light identically. Returns that grown vertex region.
+function updateSculptNormals(grid, region) {
+  const { positions, normals, cols } = grid;
+  const n = cols - 1;
+  const out = {
+    i0: Math.max(0, region.i0 - 1),
+    i1: Math.min(cols - 1, region.i1 + 1),
+    j0: Math.max(0, region.j0 - 1),
+    j1: Math.min(cols - 1, region.j1 + 1),
+  };
+  const span = out.j1 - out.j0 + 1;
+  const acc = new Float32Array((out.i1 - out.i0 + 1) * span * 3);
+  const add = (v, nx, ny, nz) => {
+    const i = Math.floor(v / cols);
+    const j = v - i * cols;
+    if (i < out.i0 || i > out.i1 || j < out.j0 || j > out.j1) return;
+    const k = ((i - out.i0) * span + j - out.j0) * 3;
+    acc[k] += nx;
+    acc[k + 1] += ny;
+    acc[k + 2] += nz;
+  };
+  const triangle = (ia, ib, ic) => {
+    const a = positions[ia];
+    const b = positions[ib];
+    const c = positions[ic];
+    const e1x = b[0] - a[0];
+    const e1y = b[1] - a[1];
+    const e1z = b[2] - a[2];
+    const e2x = c[0] - a[0];
+    const e2y = c[1] - a[1];
+    const e2z = c[2] - a[2];
+    // negated cross(e1, e2), see computeNormals()
+    const nx = -(e1y * e2z - e1z * e2y);
+    const ny = -(e1z * e2x - e1x * e2z);
+    const nz = -(e1x * e2y - e1y * e2x);
+    add(ia, nx, ny, nz);
+    add(ib, nx, ny, nz);
+    add(ic, nx, ny, nz);
+  };
+  for (let i = Math.max(0, out.i0 - 1); i <= Math.min(n - 1, out.i1); ++i) {
+    for (let j = Math.max(0, out.j0 - 1); j <= Math.min(n - 1, out.j1); ++j) {
+      // quad corners and winding as in generateIndexedMesh()
+      const p1 = i * cols + j;
+      const p2 = p1 + 1;
+      const p3 = p1 + cols;
+      const p4 = p3 + 1;
+      triangle(p2, p1, p3);
+      triangle(p3, p4, p2);
+    }
+  }
+  for (let i = out.i0; i <= out.i1; ++i) {
+    for (let j = out.j0; j <= out.j1; ++j) {
+      const k = ((i - out.i0) * span + j - out.j0) * 3;
+      const len = Math.hypot(acc[k], acc[k + 1], acc[k + 2]) || 1.0;
+      const normal = normals[i * cols + j];
+      normal[0] = acc[k] / len;
+      normal[1] = acc[k + 1] / len;
+      normal[2] = acc[k + 2] / len;
+    }
+  }
+  return out;
+}
+
+// Rewrite the quads of `quadRegion` in the flat-shaded copies of the
+// terrain from the grid: `soup` is generateMesh() output (4 numbers per
+// vertex, quad (i, j) at vertex 6 * (i * n + j)) and `flat` the matching
+// computeNormals() result { p, n }.
+function updateSculptQuads(grid, soup, flat, quadRegion) {
+  const { positions, cols } = grid;
+  const n = cols - 1;
+  for (let i = quadRegion.i0; i <= quadRegion.i1; ++i) {
+    for (let j = quadRegion.j0; j <= quadRegion.j1; ++j) {
+      const p1 = i * cols + j;
+      const p3 = p1 + cols;
+      // generateMesh() order: (p2, p1, p3), (p3, p4, p2)
+      const corners = [p1 + 1, p1, p3, p3, p3 + 1, p1 + 1];
+      const first = 6 * (i * n + j);
+      for (let k = 0; k < 6; ++k) {
+        const p = positions[corners[k]];
+        const v = first + k;
+        soup[4 * v] = p[0];
+        soup[4 * v + 1] = p[1];
+        soup[4 * v + 2] = p[2];
+        soup[4 * v + 3] = 1.0;
+        flat.p[v] = vec4(p[0], p[1], p[2], 1.0); // MVnew.js
+      }
+      for (let t = first; t < first + 6; t += 3) {
+        const a = flat.p[t];
+        const normal = normalize(
+          cross(subtract(flat.p[t + 1], a), subtract(flat.p[t + 2], a))
+        ); // MVnew.js
+        const facing = vec4(-normal[0], -normal[1], -normal[2], 0.0);
+        flat.n[t] = flat.n[t + 1] = flat.n[t + 2] = facing;
+      }
+    }
+  }
+}
+
+// Interleaved [x,y,z, nx,ny,nz] data of grid row i, vertices j0..j1: the
+// bytes at (i * cols + j0) * 24 of the smooth-shaded vertex buffer.
+function gridRowVertices(grid, i, j0, j1) {
+  const out = new Float32Array((j1 - j0 + 1) * 6);
+  for (let j = j0; j <= j1; ++j) {
+    const p = grid.positions[i * grid.cols + j];
+    const nrm = grid.normals[i * grid.cols + j];
+    out.set([p[0], p[1], p[2], nrm[0], nrm[1], nrm[2]], (j - j0) * 6);
+  }
+  return out;
+}
+
+// Same for the flat-shaded buffer: quads j0..j1 of quad row i, which start
+// at byte (i * n + j0) * 6 * 24.
+function flatQuadRowVertices(flat, n, i, j0, j1) {
+  const first = 6 * (i * n + j0);
+  const count = 6 * (j1 - j0 + 1);
+  const out = new Float32Array(count * 6);
+  for (let v = 0; v < count; ++v) {
+    const p = flat.p[first + v];
+    const nrm = flat.n[first + v];
+    out.set([p[0], p[1], p[2], nrm[0], nrm[1], nrm[2]], v * 6);
+  }
+  return out;
+}
+
+// Heights of the vertices in `region` ({ i0, i1, j0, j1 }, inclusive; the
+// whole grid by default), row by row, e.g. to undo a stroke.
+function readGridHeights(grid, region = null) {
+  const { positions, cols } = grid;
+  const { i0, i1, j0, j1 } = region || {
+    i0: 0,
+    i1: cols - 1,
+    j0: 0,
+    j1: cols - 1,
+  };
+  const span = j1 - j0 + 1;
+  const heights = new Float32Array((i1 - i0 + 1) * span);
+  for (let i = i0; i <= i1; ++i) {
+    for (let j = j0; j <= j1; ++j) {
+      heights[(i - i0) * span + j - j0] = positions[i * cols + j][1];
+    }
+  }
+  return heights;
+}
+
+// Put back heights read by readGridHeights(grid, region). Like a brush dab
+// this only moves vertices: update normals and buffers for `region` after.
+function writeGridHeights(grid, region, heights) {
+  const { positions, cols } = grid;
+  const { i0, i1, j0, j1 } = region;
+  const span = j1 - j0 + 1;
+  for (let i = i0; i <= i1; ++i) {
+    for (let j = j0; j <= j1; ++j) {
+      positions[i * cols + j][1] = heights[(i - i0) * span + j - j0];
+    }
+  }
+}
+
+// Smallest region containing regions `a` and `b` (either may be null).
+function unionGridRegions(a, b) {
+  if (!a || !b) return a || b;
+  return {
+    i0: Math.min(a.i0, b.i0),
+    i1: Math.max(a.i1, b.i1),
+    j0: Math.min(a.j0, b.j0),
+    j1: Math.max(a.j1, b.j1),
+  };
+}
+
+// The grid's heights as a heightmap ({ width, height, data } in [0, 1],
+// row = z, column = x, see heightmapUtils.js) plus the `offset` and
+// `heightScale` that map it back: height = offset + sample * heightScale.
+// Loaded as the "heightmap" elevation with those values, the same size and
+// a step giving the same resolution, it reproduces the grid.
+function gridToHeightmap(grid) {
+  const { positions, cols } = grid;
+  let min = Infinity;
+  let max = -Infinity;
+  positions.forEach((p) => {
+    min = Math.min(min, p[1]);
+    max = Math.max(max, p[1]);
+  });
+  const range = max - min;
+  const data = new Float32Array(cols * cols);
+  for (let i = 0; i < cols; ++i) {
+    for (let j = 0; j < cols; ++j) {
+      data[j * cols + i] =
+        range > 0 ? (positions[i * cols + j][1] - min) / range : 0;
+    }
+  }
+  return {
+    heightmap: { width: cols, height: cols, data: data },
+    offset: min,
+    heightScale: range,
+  };
+}
+
+// Expose helpers globally (non-module style to match project scripts)
+window.sculptModes = sculptModes;
+window.brushFalloffs = brushFalloffs;
+window.defaultBrush = defaultBrush;
+window.applySculptBrush = applySculptBrush;
+window.sculptQuadRegion = sculptQuadRegion;
+window.updateSculptNormals = updateSculptNormals;
+window.updateSculptQuads = updateSculptQuads;
+window.gridRowVertices = gridRowVertices;
+window.flatQuadRowVertices = flatQuadRowVertices;
+window.readGridHeights = readGridHeights;
+window.writeGridHeights = writeGridHeights;
+window.unionGridRegions = unionGridRegions;
+window.gridToHeightmap = gridToHeightmap;
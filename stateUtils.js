@@ -0,0 +1,159 @@
+// Saved state
+// Serializes app parameters to a query-string style text (for the URL hash
+// and localStorage) and validates it when read back, so a shared link or a
+// stale saved session can never put the app into a state the controls
+// could not produce. The parameters are described by a table of entries:
+//
+// - { key, type, get, set } plus per-type options
+// - number: { min, max, integer } out-of-range values are clamped
+// - vector: { length (3), min, max } comma-separated numbers, each clamped
+// - boolean: "1" or "0"
+// - choice: { options } an array of allowed strings, or a function
+//   returning it
+// - text: { maxLength }
+// - any type: { validate(value, values) } throws an Error for values that
+//   parse but cannot be used; it runs once every parameter is decoded, with
+//   `values` holding the others by key, so it can check combinations
+//
+// decodeState() never throws: malformed or unknown parameters are left out
+// and described in the returned `errors`, so the rest still loads.
+
+// Significant decimals kept for numbers in the saved text.
+const STATE_DECIMALS = 4;
+
+function formatStateNumber(v) {
+  return String(Number(v.toFixed(STATE_DECIMALS)));
+}
+
+function encodeStateValue(param, value) {
+  switch (param.type) {
+    case "number":
+      return formatStateNumber(value);
+    case "vector":
+      return Array.from(value).map(formatStateNumber).join(",");
+    case "boolean":
+      return value ? "1" : "0";
+    default:
+      return String(value);
+  }
+}
+
+// `param`'s value in `text`; throws an Error with a message for malformed
+// text. Out-of-range numbers are clamped, with a note pushed to `notes`.
+function decodeStateValue(param, text, notes) {
+  const clamp = (v) => {
+    if (param.integer && !Number.isInteger(v)) {
+      throw new Error("'" + text + "' is not an integer");
+    }
+    if (param.min !== undefined && v < param.min) {
+      notes.push(v + " is below the minimum " + param.min);
+      return param.min;
+    }
+    if (param.max !== undefined && v > param.max) {
+      notes.push(v + " is above the maximum " + param.max);
+      return param.max;
+    }
+    return v;
+  };
+  const parseNumber = (s) => {
+    const v = s.trim() === "" ? NaN : Number(s);
+    if (!isFinite(v)) throw new Error("'" + s + "' is not a number");
+    return clamp(v);
+  };
+  switch (param.type) {
+    case "number":
+      return parseNumber(text);
+    case "vector": {
+      const parts = text.split(",");
+      const length = param.length || 3;
+      if (parts.length !== length) {
+        throw new Error("expected " + length + " comma-separated numbers");
+      }
+      return parts.map(parseNumber);
+    }
+    case "boolean":
+      if (text !== "1" && text !== "0") {
+        throw new Error("'" + text + "' is not 1 or 0");
+      }
+      return text === "1";
+    case "choice": {
+      const options =
+        typeof param.options === "function" ? param.options() : param.options;
+      if (!options.includes(text)) {
+        throw new Error("unknown value '" + text + "'");
+      }
+      return text;
+    }
+    case "text":
+      if (param.maxLength !== undefined && text.length > param.maxLength) {
+        throw new Error("longer than " + param.maxLength + " characters");
+      }
+      return text;
+    default:
+      throw new Error("unknown parameter type '" + param.type + "'");
+  }
+}
+
+// The current values of `params` as "key=value&..." text.
+function encodeState(params) {
+  const search = new URLSearchParams();
+  params.forEach((param) => {
+    search.set(param.key, encodeStateValue(param, param.get()));
+  });
+  // commas are fine in a URL fragment and keep vectors readable
+  return search.toString().replace(/%2C/g, ",");
+}
+
+// Parse "key=value&..." text (a leading "#" is ignored). Returns { values,
+// errors }: values by key for every parameter that validated, and one
+// "key: message" string per problem found.
+function decodeState(params, text) {
+  const byKey = new Map(params.map((param) => [param.key, param]));
+  const values = {};
+  const errors = [];
+  new URLSearchParams(text.replace(/^#/, "")).forEach((raw, key) => {
+    const param = byKey.get(key);
+    if (!param) {
+      errors.push(key + ": unknown parameter");
+      return;
+    }
+    const notes = [];
+    try {
+      values[key] = decodeStateValue(param, raw, notes);
+      notes.forEach((note) => {
+        errors.push(key + ": " + note + ", using the limit");
+      });
+    } catch (e) {
+      errors.push(key + ": " + e.message);
+    }
+  });
+  // checked against everything decoded, so a combination is judged on the
+  // values that would be applied together
+  const decoded = Object.assign({}, values);
+  Object.keys(decoded).forEach((key) => {
+    const param = byKey.get(key);
+    if (!param.validate) return;
+    try {
+      param.validate(decoded[key], decoded);
+    } catch (e) {
+      delete values[key];
+      errors.push(key + ": " + e.message);
+    }
+  });
+  return { values: values, errors: errors };
+}
+
+// set() every parameter that has a value in `values` (from decodeState()),
+// in table order.
+function applyState(params, values) {
+  params.forEach((param) => {
+    if (Object.prototype.hasOwnProperty.call(values, param.key)) {
+      param.set(values[param.key]);
+    }
+  });
+}
+
+// Expose helpers globally (non-module style to match project scripts)
+window.encodeState = encodeState;
+window.decodeState = decodeState;
+window.applyState = applyState;
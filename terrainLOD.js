@@ -0,0 +1,285 @@
+// Chunked terrain with quadtree level of detail.
+// The terrain square (terrain.size wide, centered on the origin) is the root
+// of a quadtree. Every node is drawn as one chunk with the same number of
+// quads per side, so deeper (smaller) nodes are denser. Each update walks
+// the tree from the root and splits a node while the eye is close to it
+// compared with its size; the leaves reached are the chunks drawn this frame.
+//
+// Crack-free stitching: where a chunk borders a coarser leaf, the vertices
+// on that shared edge are snapped onto the coarser chunk's edge (linear
+// interpolation between its vertices). The finer edge then lies exactly on
+// the coarser one, so no gaps open between levels. The coarser chunk is
+// left untouched; stitching is always done by the finer side.
+//
+// Chunk GPU buffers are cached by node and stitch configuration. Buffers
+// that are not selected by an update are destroyed right away, so memory
+// follows the camera rather than the terrain extent.
+
+const defaultTerrainLOD = {
+  chunkQuads: 32, // quads per chunk side, at every level
+  lodFactor: 2.0, // split while distance < node size * lodFactor
+};
+
+// Build the vertex/index data for one chunk covering
+// [x0, x0 + size] x [z0, z0 + size] with n x n quads. `edgeSteps` holds the
+// grid step of the coarser neighbour on the -x, +x, -z and +z edges (0 when
+// the neighbour is the same level or finer), `origin` is the world
+// coordinate of the root's -x/-z corner that all levels' grids align to.
+// Normals come from central differences of the elevation function, so they
+// are continuous across chunk borders. Returns interleaved [x,y,z,nx,ny,nz]
+// vertices plus indices with the same winding as generateIndexedMesh().
+function generateChunkMesh(elevation, x0, z0, size, n, edgeSteps, origin) {
+  const cols = n + 1;
+  const step = size / n;
+  const vertices = new Float32Array(cols * cols * 6);
+
+  // height on an edge shared with a coarser chunk of grid step `cs`,
+  // measured along that edge at coordinate `s` (the other one fixed)
+  function snapped(s, cs, sample) {
+    const t = (s - origin) / cs;
+    const a = Math.floor(t + 1e-6);
+    const f = t - a;
+    if (f < 1e-6) return sample(origin + a * cs);
+    return (
+      sample(origin + a * cs) * (1 - f) + sample(origin + (a + 1) * cs) * f
+    );
+  }
+
+  let v = 0;
+  for (let i = 0; i < cols; ++i) {
+    const x = x0 + i * step;
+    for (let j = 0; j < cols; ++j) {
+      const z = z0 + j * step;
+      let y = elevation(x, z);
+      if (i === 0 && edgeSteps[0]) {
+        y = snapped(z, edgeSteps[0], (s) => elevation(x, s));
+      } else if (i === n && edgeSteps[1]) {
+        y = snapped(z, edgeSteps[1], (s) => elevation(x, s));
+      } else if (j === 0 && edgeSteps[2]) {
+        y = snapped(x, edgeSteps[2], (s) => elevation(s, z));
+      } else if (j === n && edgeSteps[3]) {
+        y = snapped(x, edgeSteps[3], (s) => elevation(s, z));
+      }
+      const dx = (elevation(x + step, z) - elevation(x - step, z)) / (2 * step);
+      const dz = (elevation(x, z + step) - elevation(x, z - step)) / (2 * step);
+      const len = Math.sqrt(dx * dx + 1 + dz * dz);
+      vertices[v++] = x;
+      vertices[v++] = y;
+      vertices[v++] = z;
+      vertices[v++] = -dx / len;
+      vertices[v++] = 1 / len;
+      vertices[v++] = -dz / len;
+    }
+  }
+
+  const IndexArray = cols * cols <= 0xffff ? Uint16Array : Uint32Array;
+  const indices = new IndexArray(n * n * 6);
+  let k = 0;
+  for (let i = 0; i < n; ++i) {
+    for (let j = 0; j < n; ++j) {
+      const p1 = i * cols + j;
+      const p2 = p1 + 1;
+      const p3 = p1 + cols;
+      const p4 = p3 + 1;
+      indices[k++] = p2;
+      indices[k++] = p1;
+      indices[k++] = p3;
+      indices[k++] = p3;
+      indices[k++] = p4;
+      indices[k++] = p2;
+    }
+  }
+  return { vertices: vertices, indices: indices };
+}
+
+// Create the quadtree LOD manager for a terrain descriptor. Call
+// update(eye) before drawing; `chunks` then lists the selected chunks as
+// { vertexBuffer, indexBuffer, indexFormat, indexCount, node, bounds }. `device`
+// may be null to run the selection on the CPU only (no buffers created).
+function createTerrainLOD(device, terrain, options) {
+  const opts = Object.assign({}, defaultTerrainLOD, options);
+  const t = resolveTerrain(terrain); // geometryUtils.js
+  const base = terrainElevation(t); // geometryUtils.js
+  const elevation = (x, z) => base(x, z) + t.offset;
+  const n = opts.chunkQuads;
+  const origin = -t.size / 2;
+  // deepest level whose grid step is no coarser than terrain.step
+  const maxDepth = Math.max(
+    0,
+    Math.ceil(Math.log2(t.size / (n * t.step)) - 1e-9)
+  );
+
+  const root = makeNode(origin, origin, t.size, 0, "0");
+  const cache = new Map(); // cache key -> chunk
+  const lod = {
+    chunks: [],
+    maxDepth: maxDepth,
+    bounds: sampleBounds(),
+    stats: { chunks: 0, vertices: 0, triangles: 0, created: 0, released: 0 },
+    update: update,
+    destroy: destroy,
+  };
+  const lastEye = [NaN, NaN, NaN]; // eye of the last update
+
+  // Bounds of the whole terrain from a grid of elevation samples (two per
+  // root chunk quad). Finer levels can poke slightly past it between the
+  // samples, so this is approximate, but there is no full mesh to measure.
+  function sampleBounds() {
+    const count = 2 * n + 1;
+    const points = [];
+    for (let i = 0; i < count; ++i) {
+      for (let j = 0; j < count; ++j) {
+        const x = origin + (i / (count - 1)) * t.size;
+        const z = origin + (j / (count - 1)) * t.size;
+        points.push([x, elevation(x, z), z]);
+      }
+    }
+    return computeBounds(points); // boundsUtils.js
+  }
+
+  function makeNode(x0, z0, size, depth, key) {
+    return { x0, z0, size, depth, key, children: null, leaf: false };
+  }
+
+  function children(node) {
+    if (!node.children) {
+      const h = node.size / 2;
+      const d = node.depth + 1;
+      node.children = [
+        makeNode(node.x0, node.z0, h, d, node.key + "0"),
+        makeNode(node.x0 + h, node.z0, h, d, node.key + "1"),
+        makeNode(node.x0, node.z0 + h, h, d, node.key + "2"),
+        makeNode(node.x0 + h, node.z0 + h, h, d, node.key + "3"),
+      ];
+    }
+    return node.children;
+  }
+
+  // distance from the eye to the node's footprint at the terrain's base height
+  function distanceTo(node, eye) {
+    const dx = Math.max(node.x0 - eye[0], 0, eye[0] - (node.x0 + node.size));
+    const dz = Math.max(node.z0 - eye[2], 0, eye[2] - (node.z0 + node.size));
+    const dy = eye[1] - t.offset;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+
+  function select(node, eye, leaves) {
+    const split =
+      node.depth < maxDepth &&
+      distanceTo(node, eye) < node.size * opts.lodFactor;
+    node.leaf = !split;
+    if (split) {
+      children(node).forEach((c) => select(c, eye, leaves));
+    } else {
+      leaves.push(node);
+    }
+  }
+
+  // selected leaf containing point (x, z), or null outside the terrain
+  function leafAt(x, z) {
+    if (x < origin || z < origin || x > -origin || z > -origin) return null;
+    let node = root;
+    while (!node.leaf && node.children) {
+      const h = node.size / 2;
+      const ix = x >= node.x0 + h ? 1 : 0;
+      const iz = z >= node.z0 + h ? 1 : 0;
+      node = node.children[ix + 2 * iz];
+    }
+    return node.leaf ? node : null;
+  }
+
+  // grid step of the coarser neighbour on each edge, 0 if none
+  function edgeSteps(node) {
+    const e = node.size * 1e-3;
+    const cx = node.x0 + node.size / 2;
+    const cz = node.z0 + node.size / 2;
+    return [
+      leafAt(node.x0 - e, cz),
+      leafAt(node.x0 + node.size + e, cz),
+      leafAt(cx, node.z0 - e),
+      leafAt(cx, node.z0 + node.size + e),
+    ].map((nb) => (nb && nb.depth < node.depth ? nb.size / n : 0));
+  }
+
+  function buildChunk(node, steps) {
+    const mesh = generateChunkMesh(
+      elevation,
+      node.x0,
+      node.z0,
+      node.size,
+      n,
+      steps,
+      origin
+    );
+    const chunk = {
+      node: node,
+      bounds: computeBounds(mesh.vertices), // boundsUtils.js, for culling
+      vertexCount: mesh.vertices.length / 6,
+      indexCount: mesh.indices.length,
+      vertexBuffer: null,
+      indexBuffer: null,
+      indexFormat: null,
+    };
+    if (device) {
+      chunk.vertexBuffer = createGPUVertexBuffer(device, mesh.vertices); // bufferUtils.js
+      const index = createGPUIndexBuffer(device, mesh.indices); // bufferUtils.js
+      chunk.indexBuffer = index.buffer;
+      chunk.indexFormat = index.format;
+    }
+    lod.stats.created++;
+    return chunk;
+  }
+
+  function release(chunk) {
+    if (chunk.vertexBuffer) chunk.vertexBuffer.destroy();
+    if (chunk.indexBuffer) chunk.indexBuffer.destroy();
+    lod.stats.released++;
+  }
+
+  // Re-select chunks for the eye position (vec3). Cheap when the eye has
+  // not moved; otherwise only chunks that were not selected before are
+  // built, and chunks that dropped out are released.
+  function update(eye) {
+    const moved =
+      eye[0] !== lastEye[0] || eye[1] !== lastEye[1] || eye[2] !== lastEye[2];
+    if (!moved) return lod.chunks;
+    lastEye[0] = eye[0];
+    lastEye[1] = eye[1];
+    lastEye[2] = eye[2];
+
+    const leaves = [];
+    select(root, eye, leaves);
+    const next = new Map();
+    const chunks = [];
+    leaves.forEach((node) => {
+      const steps = edgeSteps(node);
+      const key = node.key + ":" + steps.join(",");
+      const chunk = cache.get(key) || buildChunk(node, steps);
+      next.set(key, chunk);
+      chunks.push(chunk);
+    });
+    cache.forEach((chunk, key) => {
+      if (!next.has(key)) release(chunk);
+    });
+    cache.clear();
+    next.forEach((chunk, key) => cache.set(key, chunk));
+
+    lod.chunks = chunks;
+    lod.stats.chunks = chunks.length;
+    lod.stats.vertices = chunks.reduce((sum, c) => sum + c.vertexCount, 0);
+    lod.stats.triangles = chunks.reduce((sum, c) => sum + c.indexCount / 3, 0);
+    return chunks;
+  }
+
+  function destroy() {
+    cache.forEach(release);
+    cache.clear();
+    lod.chunks = [];
+  }
+
+  return lod;
+}
+
+// Expose helpers globally (non-module style to match project scripts)
+window.generateChunkMesh = generateChunkMesh;
+window.createTerrainLOD = createTerrainLOD;